@@ -0,0 +1,278 @@
+#!/usr/bin/env node
+// groningen-aov - command-line batch z-score calculation
+// Applies the same parsing, validation and export rules as the /batch/ page
+
+import { readFile, writeFile } from "node:fs/promises";
+import { createHash } from "node:crypto";
+import { loadModelVersion } from "../js/model-registry.js";
+import { parseCsv } from "../js/csv-parser.js";
+import {
+  fetchLookupData,
+  verifyLookupData,
+  INTERPOLATION_METHODS,
+} from "../js/groningen-model.js";
+import { encodeLookupGrid, decodeLookupGrid } from "../js/grid-binary.js";
+import {
+  DEFAULT_REFERENCE_INTERVAL,
+  parseReferenceInterval,
+} from "../js/statistics.js";
+import { BSA_FORMULAS, DEFAULT_BSA_FORMULA } from "../js/bsa.js";
+import { availableReferenceModels } from "../js/reference-models.js";
+import { suggestColumnMapping, suggestColumnUnits } from "../js/column-mapping.js";
+import {
+  readHeaderRow,
+  extraInputColumns,
+  csvParseOptions,
+  findMissingColumns,
+  missingColumnsMessage,
+  validateAndCleanData,
+  calculatePatient,
+  buildResultsCsv,
+} from "../js/batch-utils.js";
+
+const USAGE = `Usage: groningen-aov batch <input.csv|input.tsv> [-o output.csv]
+                     [--centiles] [--interval 2.5-97.5]
+                     [--bsa] [--bsa-formula haycock] [--compare]
+                     [--model-version VERSION] [--interpolation tricubic]
+                     [--keep-columns patient_id,visit_date]
+       groningen-aov convert-grid <grid.json> [-o grid.bin]
+
+Calculates expected AAD (and Z-scores when an "aad" column is present)
+for every row. Required columns: sex, age (or dob and exam_date), height,
+weight. Optional: aad, gestational_age. A unit suffix converts a column
+from other units: age_months, age_weeks, age_days, weight_g, weight_lb,
+height_mm, height_m, height_in, aad_cm. Other input columns (IDs, visit
+dates) are kept in their original order, followed by the calculated columns.
+Without -o the results are written to standard output.
+
+  --centiles         add percentile, two-sided p-value and reference
+                     interval columns
+  --interval LO-HI   reference interval centiles (default 2.5-97.5),
+                     implies --centiles
+  --bsa              add body surface area (and AAD/BSA) columns
+  --bsa-formula NAME haycock (default), mosteller or dubois,
+                     implies --bsa
+  --compare          add expected AAD (and Z-score) columns from the
+                     other published models that are bundled
+  --model-version V  grid version from data/models.json (default: the
+                     manifest default); stamped in the citation header
+  --interpolation M  trilinear (default, as in R) or tricubic, a smooth
+                     spline with lower interpolation error
+  --keep-columns L   comma-separated input columns to keep besides the
+                     model's (default: all; "" keeps none)
+
+convert-grid writes the compact binary form of a JSON lookup grid (default:
+the same name with .bin) and prints its size and SHA-256 for data/models.json.`;
+
+/**
+ * Parse command-line arguments into
+ * { command, input, output, centiles, bsaFormula, referenceModels,
+ * modelVersion, interpolation, keepColumns }
+ */
+function parseArgs(argv) {
+  const args = {
+    command: null,
+    input: null,
+    output: null,
+    centiles: null,
+    bsaFormula: null,
+    referenceModels: [],
+    modelVersion: null,
+    interpolation: "trilinear",
+    keepColumns: null,
+    help: false,
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === "-h" || arg === "--help") {
+      args.help = true;
+    } else if (arg === "-o" || arg === "--output") {
+      args.output = argv[++i];
+    } else if (arg === "--centiles") {
+      args.centiles ??= DEFAULT_REFERENCE_INTERVAL;
+    } else if (arg === "--interval") {
+      args.centiles = parseReferenceInterval(argv[++i]);
+    } else if (arg === "--bsa") {
+      args.bsaFormula ??= DEFAULT_BSA_FORMULA;
+    } else if (arg === "--bsa-formula") {
+      args.bsaFormula = argv[++i];
+      if (!(args.bsaFormula in BSA_FORMULAS)) {
+        throw new Error(
+          `Unknown BSA formula "${args.bsaFormula}" (use ${Object.keys(
+            BSA_FORMULAS
+          ).join(", ")})`
+        );
+      }
+    } else if (arg === "--compare") {
+      args.referenceModels = availableReferenceModels();
+    } else if (arg === "--model-version") {
+      args.modelVersion = argv[++i];
+    } else if (arg === "--interpolation") {
+      args.interpolation = argv[++i];
+      if (!INTERPOLATION_METHODS.includes(args.interpolation)) {
+        throw new Error(
+          `Unknown interpolation "${args.interpolation}" (use ${INTERPOLATION_METHODS.join(
+            ", "
+          )})`
+        );
+      }
+    } else if (arg === "--keep-columns") {
+      args.keepColumns = (argv[++i] ?? "")
+        .split(",")
+        .map((column) => column.trim())
+        .filter(Boolean);
+    } else if (!args.command) {
+      args.command = arg;
+    } else if (!args.input) {
+      args.input = arg;
+    } else {
+      throw new Error(`Unexpected argument: ${arg}`);
+    }
+  }
+
+  return args;
+}
+
+/**
+ * Run a batch file through the model, mirroring processData() on /batch/
+ */
+async function runBatch(
+  inputPath,
+  outputPath,
+  {
+    centiles,
+    bsaFormula,
+    referenceModels,
+    modelVersion,
+    interpolation,
+    keepColumns,
+  }
+) {
+  // The batch page reads files through a textarea, which trims the text
+  // and normalises line endings, so do the same here
+  const csvData = (await readFile(inputPath, "utf8"))
+    .replace(/\r\n?/g, "\n")
+    .trim();
+
+  // Unit-suffixed column names (age_days, weight_lb) are read as their
+  // column in that unit
+  const { delimiter, headers } = readHeaderRow(csvData);
+  const columnMapping = suggestColumnMapping(headers, { synonyms: false });
+  const columnUnits = suggestColumnUnits(headers, columnMapping);
+  const parseResult = parseCsv(csvData, csvParseOptions(delimiter, columnMapping));
+
+  if (parseResult.errors.length > 0) {
+    console.warn("CSV parsing warnings:", parseResult.errors);
+  }
+
+  const patients = parseResult.data;
+  if (patients.length === 0) {
+    throw new Error("No valid data rows found in input.");
+  }
+
+  const missingColumns = findMissingColumns(patients);
+  if (missingColumns.length > 0) {
+    throw new Error(missingColumnsMessage(missingColumns));
+  }
+
+  const hasAAD = Object.keys(patients[0]).includes("aad");
+
+  const extraColumns = extraInputColumns(parseResult.meta.fields);
+  const unknownColumns = (keepColumns ?? []).filter(
+    (column) => !extraColumns.includes(column)
+  );
+  if (unknownColumns.length > 0) {
+    throw new Error(
+      `Unknown --keep-columns ${unknownColumns.join(", ")} (input has: ${
+        extraColumns.join(", ") || "no other columns"
+      })`
+    );
+  }
+  const inputColumns = parseResult.meta.fields.filter(
+    (column) =>
+      column !== null &&
+      (!extraColumns.includes(column) || !keepColumns || keepColumns.includes(column))
+  );
+
+  const { cleanPatients, errors } = validateAndCleanData(patients, columnUnits);
+  if (errors.length > 0) {
+    throw new Error(`Data validation errors:\n${errors.join("\n")}`);
+  }
+
+  const model = await loadModelVersion(modelVersion);
+  model.interpolation = interpolation;
+  const options = centiles ? { referenceInterval: centiles } : {};
+  const results = cleanPatients.map((patient) =>
+    calculatePatient(model, patient, options)
+  );
+  const csvContent = buildResultsCsv(results, {
+    hasAAD,
+    centiles,
+    bsaFormula,
+    referenceModels,
+    provenance: model.provenance,
+    interpolation,
+    columnMapping,
+    columnUnits,
+    inputColumns,
+  });
+
+  if (outputPath) {
+    await writeFile(outputPath, csvContent);
+    const failed = results.filter((r) => r.status === "error").length;
+    console.error(
+      `Processed ${results.length} patients (${failed} failed) → ${outputPath}`
+    );
+  } else {
+    process.stdout.write(csvContent);
+  }
+}
+
+/**
+ * Convert a JSON grid to the binary format, checking that the binary
+ * decodes to a grid that still passes verifyLookupData
+ */
+async function convertGrid(inputPath, outputPath) {
+  const lookupData = await fetchLookupData(inputPath);
+  verifyLookupData(lookupData);
+
+  const bytes = encodeLookupGrid(lookupData);
+  verifyLookupData(decodeLookupGrid(bytes));
+
+  const output = outputPath ?? inputPath.replace(/\.json$/i, "") + ".bin";
+  await writeFile(output, bytes);
+
+  const inputSize = (await readFile(inputPath)).length;
+  const sha256 = createHash("sha256").update(bytes).digest("hex");
+  console.error(
+    `${inputPath} (${inputSize.toLocaleString()} bytes) → ${output} (${bytes.length.toLocaleString()} bytes)`
+  );
+  console.log(JSON.stringify({ file: output.split(/[\\/]/).pop(), sha256 }));
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+
+  if (args.help || !args.command) {
+    console.log(USAGE);
+    return;
+  }
+
+  if (!["batch", "convert-grid"].includes(args.command) || !args.input) {
+    console.error(USAGE);
+    process.exitCode = 2;
+    return;
+  }
+
+  if (args.command === "convert-grid") {
+    await convertGrid(args.input, args.output);
+  } else {
+    await runBatch(args.input, args.output, args);
+  }
+}
+
+main().catch((error) => {
+  console.error(`groningen-aov: ${error.message}`);
+  process.exitCode = 1;
+});
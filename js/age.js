@@ -0,0 +1,159 @@
+// age.js - Exact decimal age from date of birth and examination date
+// Used by the form controllers, the results page and the batch importer.
+// Optionally corrects for preterm birth (gestational age at birth).
+
+/**
+ * Born before this many completed weeks counts as preterm
+ */
+export const PRETERM_WEEKS = 37;
+
+/**
+ * Corrected age counts from this gestational age (term)
+ */
+export const TERM_WEEKS = 40;
+
+/**
+ * Correction stops at this chronological age (years), as in routine
+ * neonatal follow-up
+ */
+export const CORRECT_UNTIL_YEARS = 2;
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+const DAY_FIRST_DATE = /^(\d{1,2})[-/.](\d{1,2})[-/.](\d{4})$/;
+
+/**
+ * Whether a date is written day-first with day and month both 12 or less
+ * (e.g. 03/04/2015), so it could be read month-first as well
+ */
+export function isAmbiguousDate(value) {
+  const match = String(value ?? "").trim().match(DAY_FIRST_DATE);
+  if (!match) return false;
+  const [, day, month] = match.map(Number);
+  return day <= 12 && month <= 12 && day !== month;
+}
+
+/**
+ * Parse a calendar date: "YYYY-MM-DD" (date inputs, ISO) or day-first
+ * "DD-MM-YYYY", "DD/MM/YYYY" or "DD.MM.YYYY" when the day can't be taken
+ * for a month. Returns a UTC Date, or null for anything else, including
+ * impossible dates like 31-02-2020 and ambiguous ones (isAmbiguousDate).
+ */
+export function parseDate(value) {
+  if (value instanceof Date) {
+    return isNaN(value) ? null : value;
+  }
+  if (value === undefined || value === null) return null;
+
+  const text = String(value).trim();
+  let match = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})$/);
+  let year, month, day;
+  if (match) {
+    [, year, month, day] = match.map(Number);
+  } else {
+    match = text.match(DAY_FIRST_DATE);
+    if (!match || isAmbiguousDate(text)) return null;
+    [, day, month, year] = match.map(Number);
+  }
+
+  const date = new Date(Date.UTC(year, month - 1, day));
+  const valid =
+    date.getUTCFullYear() === year &&
+    date.getUTCMonth() === month - 1 &&
+    date.getUTCDate() === day;
+  return valid ? date : null;
+}
+
+/**
+ * Same month and day in another year; 29 February becomes 28 February
+ * in non-leap years
+ */
+function anniversary(date, year) {
+  const month = date.getUTCMonth();
+  const day = Math.min(
+    date.getUTCDate(),
+    new Date(Date.UTC(year, month + 1, 0)).getUTCDate()
+  );
+  return new Date(Date.UTC(year, month, day));
+}
+
+/**
+ * Exact age in years: completed years plus the elapsed fraction of the
+ * current year of life (days since the last birthday over that year's length)
+ */
+export function decimalAge(dateOfBirth, examDate) {
+  const birth = parseDate(dateOfBirth);
+  const exam = parseDate(examDate);
+  if (!birth || !exam) {
+    const ambiguous = [dateOfBirth, examDate].find(isAmbiguousDate);
+    throw new RangeError(
+      ambiguous
+        ? `Ambiguous date "${ambiguous}": day and month could be either way round (use YYYY-MM-DD)`
+        : "Enter valid dates (YYYY-MM-DD)"
+    );
+  }
+  if (exam < birth) {
+    throw new RangeError("Examination date is before date of birth");
+  }
+
+  let years = exam.getUTCFullYear() - birth.getUTCFullYear();
+  if (anniversary(birth, exam.getUTCFullYear()) > exam) years--;
+
+  const lastBirthday = anniversary(birth, birth.getUTCFullYear() + years);
+  const nextBirthday = anniversary(birth, birth.getUTCFullYear() + years + 1);
+
+  return years + (exam - lastBirthday) / (nextBirthday - lastBirthday);
+}
+
+/**
+ * Parse gestational age at birth in weeks: 32.5, "32" or "32+4"
+ * (weeks+days). Returns null when blank; throws RangeError outside 22-44 weeks.
+ */
+export function parseGestationalAge(value) {
+  if (value === undefined || value === null || String(value).trim() === "") {
+    return null;
+  }
+
+  const match = String(value).trim().match(/^(\d+(?:\.\d+)?)(?:\s*\+\s*([0-6]))?$/);
+  const weeks = match ? Number(match[1]) + Number(match[2] ?? 0) / 7 : NaN;
+  if (!(weeks >= 22 && weeks <= 44)) {
+    throw new RangeError(
+      `Invalid gestational age "${value}" (weeks between 22 and 44, e.g. 32+4)`
+    );
+  }
+  return weeks;
+}
+
+/**
+ * Age from dates, corrected for prematurity when a gestational age below
+ * PRETERM_WEEKS is given and the child is younger than CORRECT_UNTIL_YEARS.
+ * Returns { age, chronologicalAge, correctionWeeks } (years, years, weeks).
+ */
+export function ageFromDates(dateOfBirth, examDate, gestationalAge = null) {
+  const chronologicalAge = decimalAge(dateOfBirth, examDate);
+  const weeks = parseGestationalAge(gestationalAge);
+
+  const corrected =
+    weeks !== null &&
+    weeks < PRETERM_WEEKS &&
+    chronologicalAge < CORRECT_UNTIL_YEARS;
+  const correctionWeeks = corrected ? TERM_WEEKS - weeks : 0;
+  const age = chronologicalAge - (correctionWeeks * 7) / 365.25;
+
+  if (age < 0) {
+    throw new RangeError(
+      "Examination is before term-equivalent age, so corrected age is negative"
+    );
+  }
+
+  return { age, chronologicalAge, correctionWeeks };
+}
+
+/**
+ * Today's date as "YYYY-MM-DD" in local time, for date inputs
+ */
+export function todayIsoDate() {
+  const now = new Date();
+  const pad = (n) => String(n).padStart(2, "0");
+  return `${now.getFullYear()}-${pad(now.getMonth() + 1)}-${pad(now.getDate())}`;
+}
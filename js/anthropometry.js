@@ -0,0 +1,115 @@
+// anthropometry.js - Typical body size by age, for charts that sweep age
+// Medians rounded from the WHO Child Growth Standards (0-5 years),
+// CDC 2000 growth charts (2-20 years) and adult survey means.
+// Approximate by design: only used to give a body-size trajectory shape.
+
+/**
+ * Median weight (kg) and height (cm) by age (years), per sex
+ */
+export const TYPICAL_BODY_SIZE = {
+  male: [
+    { age: 0, weight: 3.3, height: 49.9 },
+    { age: 0.25, weight: 6.4, height: 61.4 },
+    { age: 0.5, weight: 7.9, height: 67.6 },
+    { age: 1, weight: 9.6, height: 75.7 },
+    { age: 2, weight: 12.2, height: 87.1 },
+    { age: 3, weight: 14.3, height: 96.1 },
+    { age: 4, weight: 16.3, height: 103.3 },
+    { age: 5, weight: 18.3, height: 110.0 },
+    { age: 6, weight: 20.5, height: 116.0 },
+    { age: 8, weight: 25.5, height: 127.0 },
+    { age: 10, weight: 31.5, height: 138.0 },
+    { age: 12, weight: 40.0, height: 149.0 },
+    { age: 14, weight: 51.0, height: 163.0 },
+    { age: 16, weight: 61.0, height: 173.0 },
+    { age: 18, weight: 67.0, height: 176.0 },
+    { age: 20, weight: 70.0, height: 177.0 },
+    { age: 30, weight: 78.0, height: 177.0 },
+    { age: 59, weight: 82.0, height: 175.0 },
+  ],
+  female: [
+    { age: 0, weight: 3.2, height: 49.1 },
+    { age: 0.25, weight: 5.8, height: 59.8 },
+    { age: 0.5, weight: 7.3, height: 65.7 },
+    { age: 1, weight: 8.9, height: 74.0 },
+    { age: 2, weight: 11.5, height: 86.4 },
+    { age: 3, weight: 13.9, height: 95.1 },
+    { age: 4, weight: 16.1, height: 102.7 },
+    { age: 5, weight: 18.2, height: 109.4 },
+    { age: 6, weight: 20.2, height: 115.1 },
+    { age: 8, weight: 25.0, height: 127.0 },
+    { age: 10, weight: 32.0, height: 138.0 },
+    { age: 12, weight: 41.0, height: 151.0 },
+    { age: 14, weight: 49.0, height: 160.0 },
+    { age: 16, weight: 53.5, height: 162.5 },
+    { age: 18, weight: 56.0, height: 163.0 },
+    { age: 20, weight: 58.0, height: 163.5 },
+    { age: 30, weight: 64.0, height: 163.0 },
+    { age: 59, weight: 68.0, height: 162.0 },
+  ],
+};
+
+/**
+ * Typical { weight, height } at an age, linearly interpolated
+ * Ages beyond the table use its first or last row
+ */
+export function typicalBodySize(age, sex) {
+  const table = TYPICAL_BODY_SIZE[sex];
+  if (!table) {
+    throw new Error(`Unknown sex "${sex}"`);
+  }
+
+  if (age <= table[0].age) return { weight: table[0].weight, height: table[0].height };
+  const last = table[table.length - 1];
+  if (age >= last.age) return { weight: last.weight, height: last.height };
+
+  const upper = table.findIndex((row) => row.age > age);
+  const a = table[upper - 1];
+  const b = table[upper];
+  const t = (age - a.age) / (b.age - a.age);
+
+  return {
+    weight: a.weight + t * (b.weight - a.weight),
+    height: a.height + t * (b.height - a.height),
+  };
+}
+
+/**
+ * Body size over age for one patient, as a function age → { weight, height }.
+ * Between measured points of `trajectory` ([{ age, weight, height }]) the
+ * measurements are interpolated; outside them the typical curve is scaled so
+ * the patient stays on the same relative size as at the nearest measurement.
+ */
+export function bodySizeTrajectory(sex, trajectory) {
+  const points = [...trajectory].sort((a, b) => a.age - b.age);
+  if (points.length === 0) {
+    throw new Error("A trajectory needs at least one measurement");
+  }
+
+  const scaled = (age, anchor) => {
+    const typicalAtAnchor = typicalBodySize(anchor.age, sex);
+    const typical = typicalBodySize(age, sex);
+    return {
+      weight: typical.weight * (anchor.weight / typicalAtAnchor.weight),
+      height: typical.height * (anchor.height / typicalAtAnchor.height),
+    };
+  };
+
+  const first = points[0];
+  const last = points[points.length - 1];
+
+  return (age) => {
+    if (age <= first.age) return scaled(age, first);
+    if (age >= last.age) return scaled(age, last);
+
+    const upper = points.findIndex((point) => point.age > age);
+    const a = points[upper - 1];
+    const b = points[upper];
+    const t = (age - a.age) / (b.age - a.age);
+
+    return {
+      weight: a.weight + t * (b.weight - a.weight),
+      height: a.height + t * (b.height - a.height),
+    };
+  };
+}
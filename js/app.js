@@ -1,5 +1,12 @@
+// ===== IMPORTS =====
+import {
+  GroningenModel,
+  validateInputs,
+  calculateZScore,
+} from "./groningen-model.js";
+
 // ===== GLOBAL STATE =====
-let lookupData = null;
+const model = new GroningenModel();
 let isModelLoaded = false;
 
 // ===== DOM ELEMENTS =====
@@ -22,220 +29,20 @@ const zInterpretation = document.getElementById("zInterpretation");
 // ===== UTILITY FUNCTIONS =====
 
 /**
- * Find the lower index for interpolation
- * Equivalent to R's findInterval function
- * R returns 1-based indices, we need to convert to 0-based
- */
-function findLowerIndex(vec, q) {
-  const n = vec.length;
-
-  // R logic: ifelse(q <= vec[1], 1, ifelse(q >= vec[n], n - 1, findInterval(q, vec)))
-  // Convert to 0-based indexing
-  if (q <= vec[0]) return 0; // R returns 1, we return 0
-  if (q >= vec[n - 1]) return n - 2; // R returns n-1, we return n-2
-
-  // Use binary search to find interval (equivalent to R's findInterval)
-  let left = 0;
-  let right = n - 1;
-
-  while (left < right - 1) {
-    const mid = Math.floor((left + right) / 2);
-    if (vec[mid] <= q) {
-      left = mid;
-    } else {
-      right = mid;
-    }
-  }
-
-  return left;
-}
-
-/**
- * Trilinear interpolation function
- * Ported from Gerton's R implementation with correct indexing
- */
-function trilinearInterp(x, y, z, flatValues, xq, yq, zq, sq) {
-  // Array dimensions from R: dim=c(length(x), length(y), length(z), 2)
-  const nX = x.length;
-  const nY = y.length;
-  const nZ = z.length;
-  const nS = 2; // Male/Female
-
-  // R array indexing: values[i, j, k, m] where m = sq + 1
-  // Convert to flat array indexing matching R's column-major order
-  const getValue = (i, j, k, s) => {
-    // R uses 1-based indexing and m = sq + 1, we use 0-based
-    // R array layout is column-major: [i + j*nX + k*nX*nY + s*nX*nY*nZ]
-    const index = i + j * nX + k * nX * nY + s * nX * nY * nZ;
-    return flatValues[index];
-  };
-
-  // Find interpolation indices (0-based)
-  const i = findLowerIndex(x, xq);
-  const j = findLowerIndex(y, yq);
-  const k = findLowerIndex(z, zq);
-  const s = sq; // Sex: 0=male, 1=female (already 0-based)
-
-  // Bounds checking
-  const i1 = Math.min(i + 1, nX - 1);
-  const j1 = Math.min(j + 1, nY - 1);
-  const k1 = Math.min(k + 1, nZ - 1);
-
-  // Get interpolation bounds
-  const x0 = x[i],
-    x1 = x[i1];
-  const y0 = y[j],
-    y1 = y[j1];
-  const z0 = z[k],
-    z1 = z[k1];
-
-  // Calculate interpolation weights
-  const xd = x1 - x0 !== 0 ? (xq - x0) / (x1 - x0) : 0;
-  const yd = y1 - y0 !== 0 ? (yq - y0) / (y1 - y0) : 0;
-  const zd = z1 - z0 !== 0 ? (zq - z0) / (z1 - z0) : 0;
-
-  // Get the 8 corner values for trilinear interpolation
-  const c000 = getValue(i, j, k, s);
-  const c100 = getValue(i1, j, k, s);
-  const c010 = getValue(i, j1, k, s);
-  const c110 = getValue(i1, j1, k, s);
-  const c001 = getValue(i, j, k1, s);
-  const c101 = getValue(i1, j, k1, s);
-  const c011 = getValue(i, j1, k1, s);
-  const c111 = getValue(i1, j1, k1, s);
-
-  // Perform trilinear interpolation
-  const c00 = c000 * (1 - xd) + c100 * xd;
-  const c10 = c010 * (1 - xd) + c110 * xd;
-  const c01 = c001 * (1 - xd) + c101 * xd;
-  const c11 = c011 * (1 - xd) + c111 * xd;
-
-  const c0 = c00 * (1 - yd) + c10 * yd;
-  const c1 = c01 * (1 - yd) + c11 * yd;
-
-  const result = c0 * (1 - zd) + c1 * zd;
-
-  return result;
-}
-
-/**
- * Calculate AOV predictions using the Groningen model
+ * Calculate AOV predictions using the shared Groningen engine
  */
 function calculateAOVPrediction(age, weight, height, sex) {
-  if (!isModelLoaded) {
-    throw new Error("Model not loaded");
-  }
-
-  // Input transformations (same as R model)
-  const logWeight = Math.log(weight);
-  const sqrtHeight = Math.sqrt(height);
-  const logAge = Math.log(age + 1);
-  
-  // Convert sex string to number: Fixed to handle "male"/"female"
-  const sexValue = sex === "male" ? 0 : 1;
-
-  // Get grid axes
-  const { log_weight, sqrt_height, log_age_plus_1 } = lookupData.grid_axes;
-  const { mean_aad, std_dev } = lookupData.predictions;
-
-  // Debug logging for first test case
-  if (age === 40 && weight === 70 && height === 170 && sexValue === 0) {
-    console.log("Debug for Gerton's example:");
-    console.log("Transformed inputs:", {
-      logWeight,
-      sqrtHeight,
-      logAge,
-      sexValue,
-    });
-    console.log("Grid ranges:");
-    console.log(
-      "  log_weight:",
-      Math.min(...log_weight),
-      "to",
-      Math.max(...log_weight)
-    );
-    console.log(
-      "  sqrt_height:",
-      Math.min(...sqrt_height),
-      "to",
-      Math.max(...sqrt_height)
-    );
-    console.log(
-      "  log_age:",
-      Math.min(...log_age_plus_1),
-      "to",
-      Math.max(...log_age_plus_1)
-    );
-  }
-
-  // Interpolate mean AAD
-  const meanAAD = trilinearInterp(
-    log_weight,
-    sqrt_height,
-    log_age_plus_1,
-    mean_aad,
-    logWeight,
-    sqrtHeight,
-    logAge,
-    sexValue
-  );
-
-  // Interpolate standard deviation
-  const sdAAD = trilinearInterp(
-    log_weight,
-    sqrt_height,
-    log_age_plus_1,
-    std_dev,
-    logWeight,
-    sqrtHeight,
-    logAge,
-    sexValue
-  );
+  const prediction = model.calculatePrediction(age, weight, height, sex);
 
   return {
-    meanAAD: meanAAD,
-    sdAAD: sdAAD,
-    lowerBound: meanAAD - 2 * sdAAD,
-    upperBound: meanAAD + 2 * sdAAD,
+    meanAAD: prediction.meanAAD,
+    sdAAD: prediction.stdDev,
+    lowerBound: prediction.lowerBound,
+    upperBound: prediction.upperBound,
+    warnings: prediction.warnings,
   };
 }
 
-/**
- * Calculate Z-score for a measured value
- */
-function calculateZScore(measuredValue, meanAAD, sdAAD) {
-  return (measuredValue - meanAAD) / sdAAD;
-}
-
-/**
- * Validate input values
- */
-function validateInputs(age, weight, height, sex) {
-  const errors = [];
-
-  // Age validation
-  if (age < 0 || age > 59) {
-    errors.push("Age must be between 0 and 59 years");
-  }
-
-  // Weight validation
-  if (weight < 1.34 || weight > 352.27) {
-    errors.push("Weight must be between 1.34 and 352.27 kg");
-  }
-
-  // Height validation
-  if (height < 30.48 || height > 236.22) {
-    errors.push("Height must be between 30.48 and 236.22 cm");
-  }
-
-  // Sex validation - Fixed to handle "male"/"female"
-  if (sex !== "male" && sex !== "female") {
-    errors.push("Please select a sex");
-  }
-
-  return errors;
-}
-
 /**
  * Update status display
  */
@@ -267,20 +74,15 @@ async function loadLookupData() {
   try {
     updateStatus("loading", "Loading model data...");
 
-    const response = await fetch("../data/groningen_aad_lookup.json");
-    if (!response.ok) {
-      throw new Error(`Failed to load model data: ${response.status}`);
-    }
-
-    lookupData = await response.json();
+    await model.load();
     isModelLoaded = true;
 
     updateStatus("ready", "Model ready");
     if (calculateBtn) calculateBtn.disabled = false;
 
     console.log("Model loaded successfully");
-    console.log("Grid dimensions:", lookupData.dimensions);
-    console.log("Data points:", lookupData.predictions.mean_aad.length);
+    console.log("Grid dimensions:", model.lookupData.dimensions);
+    console.log("Data points:", model.lookupData.predictions.mean_aad.length);
   } catch (error) {
     console.error("Error loading model:", error);
     updateStatus("error", "Failed to load model");
@@ -622,5 +424,7 @@ async function runTestCases() {
   );
 }
 
-// ===== GLOBAL FUNCTIONS FOR TESTING =====
+// ===== GLOBAL FUNCTIONS =====
+// Module scope isn't global, so expose what form-integration.js and the console use
+window.checkAndCalculateRealTime = checkAndCalculateRealTime;
 window.runTestCases = runTestCases;
\ No newline at end of file
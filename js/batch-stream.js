@@ -0,0 +1,163 @@
+// batch-stream.js - Streaming batch processing for very large files
+// Uploads above STREAMING_THRESHOLD are never held in memory whole: the
+// file is parsed chunk by chunk (CsvStreamParser), each block of rows is
+// validated and calculated, and its CSV lines go into a Blob part straight
+// away, which browsers may keep on disk. Only running totals and a preview
+// of the first rows stay in memory.
+
+import { CsvStreamParser } from "./csv-parser.js";
+import {
+  BatchCancelledError,
+  buildResultsCsvHeader,
+  buildResultsCsvRows,
+  cleanPatientRow,
+  csvParseOptions,
+  detectDelimiter,
+  extraInputValues,
+  findMissingColumns,
+  missingColumnsMessage,
+  summarizeResults,
+} from "./batch-utils.js";
+
+/**
+ * Uploads larger than this (bytes) are streamed instead of pasted into
+ * the text box
+ */
+export const STREAMING_THRESHOLD = 10 * 1024 * 1024;
+
+/**
+ * Rows validated and calculated together
+ */
+export const STREAM_BLOCK_ROWS = 5000;
+
+/**
+ * Parsing problems kept for the console (all are counted)
+ */
+const MAX_PARSE_ERRORS = 100;
+
+/**
+ * Run a stream of CSV/TSV text, e.g.
+ *   file.stream().pipeThrough(new TextDecoderStream())
+ * through validation and calculate(cleanPatients), which resolves with
+ * one result per patient (the batch worker or processBatch).
+ * exportOptions are buildResultsCsv's options except hasAAD, which comes
+ * from the header; its columnMapping also renames the input columns and
+ * its columnUnits converts them. Rows that fail validation become error rows in the
+ * output instead of stopping the run. onBlock({ summary }) follows each
+ * block; isCancelled() is checked before each one.
+ * Resolves with { blob, summary, preview, hasAAD, delimiter, parseErrors,
+ * parseErrorCount }: the complete "Save CSV File" content, totals as
+ * summarizeResults gives them, and the first previewRows successful results.
+ */
+export async function streamBatch(
+  stream,
+  {
+    calculate,
+    exportOptions = {},
+    blockRows = STREAM_BLOCK_ROWS,
+    previewRows = 500,
+    onBlock = null,
+    isCancelled = () => false,
+  }
+) {
+  const reader = stream.getReader();
+  const parts = [];
+  const preview = [];
+  let summary;
+  let parser = null;
+  let options = null;
+  let head = "";
+  const pending = [];
+
+  const processBlock = async (records) => {
+    if (isCancelled()) throw new BatchCancelledError();
+
+    const checked = records.map((record) => ({
+      record,
+      ...cleanPatientRow(record, exportOptions.columnUnits),
+    }));
+    const calculated = await calculate(
+      checked.filter(({ cleanPatient }) => cleanPatient).map(({ cleanPatient }) => cleanPatient)
+    );
+
+    let next = 0;
+    const results = checked.map(({ record, cleanPatient, error }) =>
+      cleanPatient
+        ? calculated[next++]
+        : { ...record, extras: extraInputValues(record), error, status: "error" }
+    );
+
+    summary = summarizeResults(results, summary);
+    for (const result of results) {
+      if (preview.length >= previewRows) break;
+      if (result.status === "success") preview.push(result);
+    }
+    parts.push(new Blob([buildResultsCsvRows(results, options).join("\n") + "\n"]));
+    onBlock?.({ summary });
+  };
+
+  const addRecords = async (records) => {
+    if (!options && parser.fields) {
+      const fields = parser.fields.filter((field) => field !== null);
+      const missingColumns = findMissingColumns([
+        Object.fromEntries(fields.map((field) => [field, null])),
+      ]);
+      if (missingColumns.length > 0) {
+        throw new Error(missingColumnsMessage(missingColumns));
+      }
+      options = { ...exportOptions, hasAAD: fields.includes("aad") };
+    }
+
+    pending.push(...records);
+    while (pending.length >= blockRows) {
+      await processBlock(pending.splice(0, blockRows));
+    }
+  };
+
+  // The delimiter is detected from the header line, so hold text back
+  // until the first line is complete
+  const startParser = () => {
+    parser = new CsvStreamParser({
+      ...csvParseOptions(detectDelimiter(head), exportOptions.columnMapping),
+      maxErrors: MAX_PARSE_ERRORS,
+    });
+    return parser.push(head);
+  };
+
+  try {
+    for (;;) {
+      const { done, value } = await reader.read();
+      if (done) break;
+
+      if (parser) {
+        await addRecords(parser.push(value));
+      } else {
+        head += value;
+        if (/[\r\n]/.test(head)) await addRecords(startParser());
+      }
+    }
+
+    if (!parser) await addRecords(startParser());
+    await addRecords(parser.finish());
+    if (pending.length > 0) await processBlock(pending);
+  } catch (error) {
+    await reader.cancel().catch(() => {});
+    throw error;
+  }
+
+  if (!summary) {
+    throw new Error("No valid data rows found in input.");
+  }
+
+  return {
+    blob: new Blob([buildResultsCsvHeader(summary.total, options) + "\n", ...parts], {
+      type: "text/csv",
+    }),
+    summary,
+    preview,
+    hasAAD: options.hasAAD,
+    delimiter: parser.splitter.delimiter,
+    parseErrors: parser.errors,
+    parseErrorCount: parser.errorCount,
+  };
+}
@@ -0,0 +1,758 @@
+// batch-utils.js - Batch parsing, validation and export rules
+// Shared by the batch page (/batch/) and the command-line tool (bin/groningen-aov.js)
+// so both produce identical output for the same input
+
+import { validateInputs } from "./groningen-model.js";
+import { formatCentile } from "./statistics.js";
+import { ageFromDates } from "./age.js";
+import { BSA_FORMULAS, bodySurfaceArea, indexedAAD } from "./bsa.js";
+import { REFERENCE_MODELS, referenceModelResult } from "./reference-models.js";
+import { modelVersionNote } from "./model-registry.js";
+import { CsvRowSplitter } from "./csv-parser.js";
+import {
+  COLUMN_UNITS,
+  isBatchColumn,
+  mappingHeaderTransform,
+  modelUnit,
+  toModelUnit,
+} from "./column-mapping.js";
+
+/**
+ * Columns every batch input must contain (after header lower-casing)
+ */
+export const REQUIRED_COLUMNS = ["sex", "age", "height", "weight"];
+
+/**
+ * Columns that can stand in for "age": exact age from the two dates,
+ * optionally corrected with gestational_age (weeks, e.g. 32 or 32+4)
+ */
+export const DATE_AGE_COLUMNS = ["dob", "exam_date"];
+
+/**
+ * Guess the delimiter from the header line: tab, semicolon or comma
+ */
+export function detectDelimiter(text) {
+  const firstLine = text.replace(/^\uFEFF/, "").split(/\r?\n|\r/)[0];
+  if (!firstLine) return ",";
+
+  const commaCount = (firstLine.match(/,/g) || []).length;
+  const tabCount = (firstLine.match(/\t/g) || []).length;
+  const semicolonCount = (firstLine.match(/;/g) || []).length;
+
+  if (tabCount > 0 && tabCount >= commaCount && tabCount >= semicolonCount) {
+    return "\t";
+  } else if (semicolonCount > commaCount) {
+    return ";";
+  } else {
+    return ",";
+  }
+}
+
+/**
+ * parseCsv (csv-parser.js) options used for batch input. Semicolon and tab
+ * separated files are what spreadsheets export in decimal-comma locales,
+ * so "12,5" reads as 12.5 there. Headers are renamed by the column mapping
+ * (column-mapping.js) when one is given. Columns other than BATCH_COLUMNS
+ * are kept as written, to be passed through to the results.
+ */
+export function csvParseOptions(delimiter, mapping = {}) {
+  return {
+    delimiter: delimiter,
+    decimalComma: delimiter !== ",",
+    transformHeader: mappingHeaderTransform(mapping),
+    keepText: (field) => !isBatchColumn(field),
+  };
+}
+
+/**
+ * Header row of some batch input as written, with the first data row for
+ * context: { delimiter, headers, sample }
+ */
+export function readHeaderRow(text) {
+  const delimiter = detectDelimiter(text);
+  const splitter = new CsvRowSplitter(delimiter);
+  const rows = [...splitter.push(text), ...splitter.finish()].filter((row) =>
+    row.some((field) => field.trim() !== "")
+  );
+  return {
+    delimiter,
+    headers: (rows[0] ?? []).map((header) => header.trim()),
+    sample: rows[1] ?? [],
+  };
+}
+
+/**
+ * List the required columns missing from the parsed rows
+ */
+export function findMissingColumns(patients) {
+  const availableColumns = Object.keys(patients[0] || {});
+  const hasDates = DATE_AGE_COLUMNS.every((col) => availableColumns.includes(col));
+  return REQUIRED_COLUMNS.filter(
+    (col) => !availableColumns.includes(col) && !(col === "age" && hasDates)
+  );
+}
+
+/**
+ * Error message naming the required columns an input lacks
+ */
+export function missingColumnsMessage(missingColumns) {
+  return `Missing required columns: ${missingColumns.join(
+    ", "
+  )}. Required: sex, age (or dob and exam_date), height, weight. Optional: aad, gestational_age`;
+}
+
+/**
+ * Result columns holding the model's inputs, by parsed input column
+ */
+const MODEL_INPUT_HEADERS = {
+  sex: "sex",
+  age: "age",
+  height: "height",
+  weight: "weight",
+  aad: "measured_aad",
+};
+
+function isModelInput(field) {
+  return Object.hasOwn(MODEL_INPUT_HEADERS, field);
+}
+
+/**
+ * The extra columns among parsed column names (parseCsv's meta.fields), in
+ * input order: IDs, dates and anything else that isn't a model input, which
+ * can be passed through to the results
+ */
+export function extraInputColumns(fields) {
+  return fields.filter((field) => field !== null && !isModelInput(field));
+}
+
+/**
+ * A parsed row's extra column values, { column: value }
+ */
+export function extraInputValues(patient) {
+  return Object.fromEntries(
+    Object.entries(patient).filter(([field]) => !isModelInput(field))
+  );
+}
+
+/**
+ * Whether a cell is empty (missing column, null or blank text)
+ */
+function isBlank(value) {
+  return value === undefined || value === null || String(value).trim() === "";
+}
+
+/**
+ * Normalise one parsed row: { cleanPatient } when it is valid, otherwise
+ * { error } describing the first problem found. `units` ({ column: unit },
+ * see COLUMN_UNITS in column-mapping.js) names columns given in other units
+ * than the model's; their values are converted before validation.
+ * cleanPatient.convertedFields lists the inputs converted or derived from
+ * dates, which exports round (CONVERTED_INPUT_DECIMALS).
+ */
+export function cleanPatientRow(patient, units = {}) {
+  const cleanPatient = {};
+
+  // Clean and validate sex
+  if (!patient.sex) {
+    return { error: "Missing sex value" };
+  }
+  const sex = patient.sex.toString().toLowerCase().trim();
+  if (sex.startsWith("m")) {
+    cleanPatient.sex = "male";
+  } else if (sex.startsWith("f") || sex.startsWith("v")) {
+    // V/vrouw as Dutch exports (Geslacht M/V) write it
+    cleanPatient.sex = "female";
+  } else {
+    return { error: `Invalid sex "${patient.sex}" (use M/F, Male/Female or M/V)` };
+  }
+
+  // Age comes from the age column, or from dob and exam_date when age is
+  // blank
+  if (isBlank(patient.age) && DATE_AGE_COLUMNS.every((col) => !isBlank(patient[col]))) {
+    try {
+      const { age, correctionWeeks } = ageFromDates(
+        patient.dob,
+        patient.exam_date,
+        patient.gestational_age
+      );
+      cleanPatient.age = age;
+      cleanPatient.convertedFields = ["age"];
+      if (correctionWeeks > 0) cleanPatient.correctionWeeks = correctionWeeks;
+    } catch (error) {
+      return { error: error.message };
+    }
+  }
+
+  // Clean and validate required numeric fields
+  const requiredFields = ["age", "weight", "height"].filter(
+    (field) => !(field in cleanPatient)
+  );
+  for (const field of requiredFields) {
+    const value = parseFloat(patient[field]);
+    if (isNaN(value)) {
+      return { error: `Invalid ${field} "${patient[field]}" (must be a number)` };
+    }
+    cleanPatient[field] = toModelUnit(field, value, units[field]);
+    if (units[field] && units[field] !== modelUnit(field)) {
+      cleanPatient.convertedFields = [...(cleanPatient.convertedFields ?? []), field];
+    }
+  }
+
+  // AAD is optional! Some researchers just want predictions
+  if (
+    patient.aad !== undefined &&
+    patient.aad !== null &&
+    patient.aad !== ""
+  ) {
+    const aadValue = parseFloat(patient.aad);
+    if (isNaN(aadValue) || aadValue <= 0) {
+      return {
+        error: `Invalid AAD "${patient.aad}" (must be positive number or leave blank)`,
+      };
+    }
+    cleanPatient.aad = toModelUnit("aad", aadValue, units.aad);
+  } else {
+    cleanPatient.aad = null; // No measured AAD - just want predictions
+  }
+
+  // Validate ranges with the shared model constraints
+  const rangeErrors = validateInputs(
+    cleanPatient.age,
+    cleanPatient.weight,
+    cleanPatient.height,
+    cleanPatient.sex
+  );
+  if (rangeErrors.length > 0) {
+    return { error: rangeErrors.join(". ") };
+  }
+
+  cleanPatient.extras = extraInputValues(patient);
+  return { cleanPatient };
+}
+
+/**
+ * Normalise parsed rows and collect per-row validation errors; units as
+ * for cleanPatientRow
+ */
+export function validateAndCleanData(patients, units = {}) {
+  const errors = [];
+  const cleanPatients = [];
+
+  patients.forEach((patient, index) => {
+    const { cleanPatient, error } = cleanPatientRow(patient, units);
+    if (error) {
+      errors.push(`Row ${index + 1}: ${error}`);
+    } else {
+      cleanPatients.push(cleanPatient);
+    }
+  });
+
+  return { cleanPatients, errors };
+}
+
+/**
+ * Calculate one validated patient row into a result row
+ * options.referenceInterval sets the centiles of the reference interval
+ */
+export function calculatePatient(model, patient, options = {}) {
+  try {
+    const calculation = model.calculateResults(
+      patient.age,
+      patient.weight,
+      patient.height,
+      patient.sex,
+      patient.aad,
+      options
+    );
+
+    return {
+      ...patient,
+      expectedAAD: calculation.meanAAD,
+      stdDev: calculation.stdDev,
+      lowerBound: calculation.lowerBound,
+      upperBound: calculation.upperBound,
+      zScore: calculation.zScore,
+      zScoreUncertainty: calculation.zScoreUncertainty,
+      hasMeasuredAAD: calculation.zScore !== null,
+      percentile: calculation.percentile,
+      pValue: calculation.pValue,
+      referenceInterval: calculation.referenceInterval,
+      warnings: calculation.warnings,
+      status: "success",
+    };
+  } catch (error) {
+    return {
+      ...patient,
+      error: error.message,
+      status: "error",
+    };
+  }
+}
+
+/**
+ * Thrown by processBatch (and the batch worker client) when the user
+ * cancels a run
+ */
+export class BatchCancelledError extends Error {
+  constructor(message = "Processing cancelled by user") {
+    super(message);
+    this.name = "BatchCancelledError";
+  }
+}
+
+/**
+ * Rows per chunk: smaller chunks for tiny batches so progress still shows,
+ * 100 rows otherwise
+ */
+export function batchChunkSize(total) {
+  return total < 100 ? Math.max(10, Math.ceil(total / 5)) : 100;
+}
+
+/**
+ * Calculate validated patients chunk by chunk, in input order. After each
+ * chunk, onChunk({ start, results, processed, total }) receives that
+ * chunk's rows and the function yields, so progress can render and a
+ * cancellation (isCancelled() returning true) is seen before the next
+ * chunk; it then throws BatchCancelledError. The batch page's main-thread
+ * fallback and batch-worker.js both run batches through this function.
+ */
+export async function processBatch(
+  model,
+  patients,
+  options = {},
+  { chunkSize = batchChunkSize(patients.length), onChunk = null, isCancelled = () => false } = {}
+) {
+  const results = [];
+
+  for (let start = 0; start < patients.length; start += chunkSize) {
+    if (isCancelled()) throw new BatchCancelledError();
+
+    const chunk = patients
+      .slice(start, start + chunkSize)
+      .map((patient) => calculatePatient(model, patient, options));
+    results.push(...chunk);
+
+    onChunk?.({
+      start,
+      results: chunk,
+      processed: results.length,
+      total: patients.length,
+    });
+
+    if (results.length < patients.length) {
+      await new Promise((resolve) => setTimeout(resolve, 0));
+    }
+  }
+
+  return results;
+}
+
+/**
+ * A value as a CSV/TSV field, quoted (RFC 4180) when it contains the
+ * delimiter, a quote or a line break
+ */
+export function formatField(value, delimiter = ",") {
+  const text = value === null || value === undefined ? "" : String(value);
+  return text.includes(delimiter) || /["\r\n]/.test(text)
+    ? `"${text.replace(/"/g, '""')}"`
+    : text;
+}
+
+/**
+ * One CSV line of fields, quoted as needed (formatField)
+ */
+export function joinFields(values, delimiter = ",") {
+  return values.map((value) => formatField(value, delimiter)).join(delimiter);
+}
+
+/**
+ * The input columns of a result row, as parsed column names. Without
+ * `inputColumns` these are the model's inputs. With it (the input's parsed
+ * columns in order, less any extra columns that aren't wanted) the row
+ * follows the input: model inputs where the input had them, extra columns
+ * passed through, then any model input the input lacked (age from dates).
+ */
+function inputLayout({ hasAAD, inputColumns = null }) {
+  const modelInputs = ["sex", "age", "height", "weight", ...(hasAAD ? ["aad"] : [])];
+  if (!inputColumns) return modelInputs;
+
+  const layout = inputColumns.filter(
+    (field) => field !== null && (field !== "aad" || hasAAD)
+  );
+  return [...layout, ...modelInputs.filter((field) => !layout.includes(field))];
+}
+
+/**
+ * Column headers and values shared by the CSV file and clipboard exports.
+ * `centiles` is the reference interval ([lower, upper]) when the optional
+ * centile columns are wanted, otherwise null; `bsaFormula` likewise adds
+ * BSA columns (a key of BSA_FORMULAS) and `referenceModels` (ids from
+ * REFERENCE_MODELS) one column group per comparison model. `inputColumns`
+ * passes input columns through (see inputLayout); one named like a result
+ * column gets an "input_" prefix.
+ */
+function resultHeaders(columns) {
+  const { hasAAD, centiles = null, bsaFormula = null, referenceModels = [] } = columns;
+  const headers = [];
+  headers.push("expected_aad", "std_dev");
+  if (hasAAD) headers.push("z_score", "z_score_uncertainty");
+  if (hasAAD && centiles) headers.push("percentile", "p_value");
+  headers.push("lower_bound", "upper_bound");
+  if (centiles) {
+    headers.push(`centile_${centiles[0]}`, `centile_${centiles[1]}`);
+  }
+  if (bsaFormula) {
+    headers.push("bsa_m2");
+    if (hasAAD) headers.push("aad_bsa_index");
+  }
+  for (const id of referenceModels) {
+    headers.push(`${id}_expected_aad`);
+    if (hasAAD) headers.push(`${id}_z_score`);
+  }
+  headers.push("warnings");
+
+  const taken = new Set([...Object.values(MODEL_INPUT_HEADERS), ...headers, "status"]);
+  const inputHeaders = inputLayout(columns).map((field) => {
+    if (isModelInput(field)) return MODEL_INPUT_HEADERS[field];
+    return taken.has(field) ? `input_${field}` : field;
+  });
+  return [...inputHeaders, ...headers];
+}
+
+/**
+ * Compact, delimiter-safe form of a row's warnings, e.g.
+ * "extrapolated_weight|implausible_weight_for_height"
+ */
+export function formatWarnings(warnings = []) {
+  return warnings
+    .map((warning) =>
+      warning.code === "extrapolated"
+        ? `extrapolated_${warning.field}`
+        : warning.code
+    )
+    .join("|");
+}
+
+/**
+ * Decimals written for model inputs the batch converted from other units or
+ * derived from dates: age to 0.001 years as on the results page, height to
+ * 0.1 cm like measured AAD, weight to 0.01 kg for neonates weighed in grams.
+ * Inputs in the model's units are written as given.
+ */
+const CONVERTED_INPUT_DECIMALS = { age: 3, height: 1, weight: 2 };
+
+/**
+ * A result's age, height or weight as exports and the batch table show it
+ */
+export function formatInputValue(result, field) {
+  return result.convertedFields?.includes(field)
+    ? result[field].toFixed(CONVERTED_INPUT_DECIMALS[field])
+    : result[field];
+}
+
+function resultValues(result, columns) {
+  const { hasAAD, centiles = null, bsaFormula = null, referenceModels = [] } = columns;
+  const row = inputLayout(columns).map((field) => {
+    if (field === "aad") return result.aad ? result.aad.toFixed(1) : "";
+    return isModelInput(field) ? formatInputValue(result, field) : result.extras?.[field];
+  });
+
+  row.push(result.expectedAAD.toFixed(3), result.stdDev.toFixed(3));
+
+  if (hasAAD) {
+    row.push(
+      result.zScore ? result.zScore.toFixed(3) : "",
+      result.zScoreUncertainty !== null ? result.zScoreUncertainty.toFixed(3) : ""
+    );
+  }
+
+  if (hasAAD && centiles) {
+    row.push(
+      result.percentile !== null ? result.percentile.toFixed(1) : "",
+      result.pValue !== null ? result.pValue.toFixed(4) : ""
+    );
+  }
+
+  row.push(result.lowerBound.toFixed(3), result.upperBound.toFixed(3));
+
+  if (centiles) {
+    row.push(
+      result.referenceInterval.lower.toFixed(3),
+      result.referenceInterval.upper.toFixed(3)
+    );
+  }
+
+  if (bsaFormula) {
+    const bsa = bodySurfaceArea(result.weight, result.height, bsaFormula);
+    row.push(bsa.toFixed(3));
+    if (hasAAD) {
+      row.push(result.aad ? indexedAAD(result.aad, bsa).toFixed(2) : "");
+    }
+  }
+
+  for (const id of referenceModels) {
+    // Left blank outside the population the equation was fitted on
+    const comparison = referenceModelResult(id, result);
+    const applies = comparison.available && !comparison.outsidePopulation;
+    row.push(applies ? comparison.expectedAAD.toFixed(3) : "");
+    if (hasAAD) {
+      row.push(applies && comparison.zScore !== null ? comparison.zScore.toFixed(3) : "");
+    }
+  }
+
+  row.push(formatWarnings(result.warnings));
+
+  return row;
+}
+
+/**
+ * Citation header line describing the optional centile columns
+ */
+function centilesNote(centiles) {
+  return `# Reference interval: ${formatCentile(centiles[0])}-${formatCentile(
+    centiles[1]
+  )} centile; percentile = normal CDF of z_score, p_value = two-sided`;
+}
+
+/**
+ * Citation header line naming the BSA formula of the optional BSA columns
+ */
+function bsaNote(bsaFormula, hasAAD) {
+  return `# BSA: ${BSA_FORMULAS[bsaFormula].label} formula (m²)${
+    hasAAD ? "; aad_bsa_index = measured AAD / BSA (mm/m²)" : ""
+  }`;
+}
+
+/**
+ * Citation header lines for the optional reference model columns
+ */
+function referenceModelNotes(referenceModels) {
+  return referenceModels.map((id) => {
+    const { label, citation, population, maxAge } = REFERENCE_MODELS[id];
+    return `# ${id}_*: ${label}, ${citation} (${population}); blank above age ${maxAge}`;
+  });
+}
+
+/**
+ * Citation header line explaining the Z-score uncertainty column
+ */
+const UNCERTAINTY_NOTE =
+  "# z_score_uncertainty: largest Z-score change within the grid's interpolation uncertainty; warning uncertain_category when that spans ±2";
+
+/**
+ * Citation header line when the grid was not interpolated the default
+ * (trilinear, as in R) way
+ */
+function interpolationNotes(interpolation) {
+  if (interpolation === "trilinear") return [];
+  return [`# Interpolation: ${interpolation} (smooth spline between grid points)`];
+}
+
+/**
+ * Citation header line listing the input columns that were renamed
+ */
+function columnMappingNotes(columnMapping) {
+  const renamed = Object.entries(columnMapping).filter(
+    ([header, key]) => header !== key
+  );
+  if (renamed.length === 0) return [];
+  return [
+    `# Columns: ${renamed
+      .map(([header, key]) => `${header} → ${key ?? "not used"}`)
+      .join("; ")}`,
+  ];
+}
+
+/**
+ * Citation header line listing the columns converted from other units
+ */
+function columnUnitsNotes(columnUnits) {
+  const converted = Object.entries(columnUnits).filter(
+    ([column, unit]) => unit !== modelUnit(column)
+  );
+  if (converted.length === 0) return [];
+  const describe = ([column, unit]) => {
+    const units = COLUMN_UNITS[column];
+    return `${column} ${units[unit].label} → ${units[modelUnit(column)].label}`;
+  };
+  return [`# Units converted: ${converted.map(describe).join("; ")}`];
+}
+
+/**
+ * Build the "Save CSV File" content, including the citation header.
+ * `provenance` (model.provenance) stamps the grid version and checksum;
+ * `interpolation` (model.interpolation) is noted unless trilinear, and
+ * `columnMapping` (as for csvParseOptions) lists the renamed input columns
+ * and `columnUnits` (as for cleanPatientRow) the converted ones.
+ * `inputColumns` (parsed column names in input order, without unwanted
+ * extra columns) makes the rows follow the input and keep its other
+ * columns, e.g. a patient_id to join the results back on.
+ */
+export function buildResultsCsv(results, options) {
+  return [
+    buildResultsCsvHeader(results.length, options),
+    ...buildResultsCsvRows(results, options),
+  ].join("\n");
+}
+
+/**
+ * Citation header and column names of the "Save CSV File" content for
+ * `count` results, same options as buildResultsCsv. Streamed exports
+ * (batch-stream.js) write it once every row is known.
+ */
+export function buildResultsCsvHeader(
+  count,
+  {
+    hasAAD,
+    centiles = null,
+    bsaFormula = null,
+    referenceModels = [],
+    provenance = null,
+    interpolation = "trilinear",
+    columnMapping = {},
+    columnUnits = {},
+    inputColumns = null,
+    generatedAt = new Date(),
+  }
+) {
+  const columns = { hasAAD, centiles, bsaFormula, referenceModels, inputColumns };
+
+  // Citation header for research provenance
+  const citationHeader = [
+    "# Groningen AAD Calculator - Batch Processing Results",
+    "# Citation: [To be updated upon publication]",
+    "# Calculator: https://groningen-aov.github.io",
+    "# Generated: " + generatedAt.toISOString(),
+    ...(provenance ? [modelVersionNote(provenance)] : []),
+    ...interpolationNotes(interpolation),
+    ...columnMappingNotes(columnMapping),
+    ...columnUnitsNotes(columnUnits),
+    ...(hasAAD ? [UNCERTAINTY_NOTE] : []),
+    "# Processed: " + count.toLocaleString() + " patients",
+    ...(centiles ? [centilesNote(centiles)] : []),
+    ...(bsaFormula ? [bsaNote(bsaFormula, hasAAD)] : []),
+    ...referenceModelNotes(referenceModels),
+    "#",
+  ];
+
+  return [...citationHeader, joinFields([...resultHeaders(columns), "status"])].join(
+    "\n"
+  );
+}
+
+/**
+ * One "Save CSV File" line per result, same options as buildResultsCsv
+ */
+export function buildResultsCsvRows(
+  results,
+  { hasAAD, centiles = null, bsaFormula = null, referenceModels = [], inputColumns = null }
+) {
+  const columns = { hasAAD, centiles, bsaFormula, referenceModels, inputColumns };
+  const width = resultHeaders(columns).length + 1;
+
+  return results.map((result) => {
+    if (result.status === "error") {
+      const row = inputLayout(columns).map((field) =>
+        isModelInput(field) ? result[field] || "" : result.extras?.[field]
+      );
+      // Leave the calculated columns empty, status goes in the last column
+      while (row.length < width - 1) row.push("");
+      row.push("error: " + result.error);
+      return joinFields(row);
+    }
+
+    return joinFields([...resultValues(result, columns), result.status]);
+  });
+}
+
+/**
+ * Running totals for the batch summary. Pass the previous summary to add
+ * more results (streamed batches); rows with only an uncertain_category
+ * warning count as uncertainCategory, not withWarnings.
+ */
+export function summarizeResults(
+  results,
+  summary = {
+    total: 0,
+    successful: 0,
+    failed: 0,
+    withAAD: 0,
+    outliers: 0,
+    withWarnings: 0,
+    uncertainCategory: 0,
+  }
+) {
+  for (const result of results) {
+    summary.total++;
+    if (result.status !== "success") {
+      summary.failed++;
+      continue;
+    }
+    summary.successful++;
+    if (result.hasMeasuredAAD) summary.withAAD++;
+    if (result.zScore && Math.abs(result.zScore) > 2) summary.outliers++;
+
+    const uncertain = (w) => w.code === "uncertain_category";
+    if (result.warnings.some((w) => !uncertain(w))) summary.withWarnings++;
+    if (result.warnings.some(uncertain)) summary.uncertainCategory++;
+  }
+  return summary;
+}
+
+/**
+ * Build the "Copy to Clipboard" table (successful rows, input delimiter)
+ */
+export function buildClipboardTable(
+  results,
+  {
+    hasAAD,
+    delimiter,
+    centiles = null,
+    bsaFormula = null,
+    referenceModels = [],
+    provenance = null,
+    interpolation = "trilinear",
+    columnMapping = {},
+    columnUnits = {},
+    inputColumns = null,
+    generatedAt = new Date(),
+  }
+) {
+  const columns = { hasAAD, centiles, bsaFormula, referenceModels, inputColumns };
+  const rows = [joinFields(resultHeaders(columns), delimiter)];
+
+  results
+    .filter((r) => r.status === "success")
+    .forEach((result) => {
+      rows.push(joinFields(resultValues(result, columns), delimiter));
+    });
+
+  // Citation header for research provenance
+  const citationHeader = [
+    "# Groningen AAD Calculator Results",
+    "# Citation: [To be updated upon publication]",
+    "# Calculator: https://groningen-aov.github.io",
+    "# Generated: " + generatedAt.toISOString().split("T")[0],
+    ...(provenance ? [modelVersionNote(provenance)] : []),
+    ...interpolationNotes(interpolation),
+    ...columnMappingNotes(columnMapping),
+    ...columnUnitsNotes(columnUnits),
+    ...(hasAAD ? [UNCERTAINTY_NOTE] : []),
+    ...(centiles ? [centilesNote(centiles)] : []),
+    ...(bsaFormula ? [bsaNote(bsaFormula, hasAAD)] : []),
+    ...referenceModelNotes(referenceModels),
+    "#",
+  ].join("\n");
+
+  return citationHeader + "\n" + rows.join("\n");
+}
+
+/**
+ * Default file name for the CSV download
+ */
+export function resultsFileName(hasAAD, generatedAt = new Date()) {
+  const mode = hasAAD ? "with_zscore" : "predictions_only";
+  return `groningen_aad_batch_${mode}_${
+    generatedAt.toISOString().split("T")[0]
+  }.csv`;
+}
@@ -0,0 +1,101 @@
+// batch-worker-client.js - Main-thread side of the batch worker
+// Runs batches in batch-worker.js and reassembles the streamed chunks in
+// input order. Cancelling terminates the worker at once, even mid-chunk;
+// the next run starts a fresh worker.
+
+import { BatchCancelledError } from "./batch-utils.js";
+
+/**
+ * Thrown when the worker can't start or fails during a run. The batch page
+ * then falls back to processing on the main thread.
+ */
+export class BatchWorkerError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "BatchWorkerError";
+  }
+}
+
+export class BatchWorkerClient {
+  constructor(workerUrl = new URL("./batch-worker.js", import.meta.url)) {
+    this.workerUrl = workerUrl;
+    this.worker = null;
+    this.job = null;
+    this.nextJobId = 1;
+  }
+
+  /**
+   * Whether this browser can run workers at all
+   */
+  static get isSupported() {
+    return typeof Worker !== "undefined";
+  }
+
+  get isRunning() {
+    return this.job !== null;
+  }
+
+  /**
+   * Calculate validated patients with grid `version` (the page model's
+   * provenance.version). Resolves with every result in input order;
+   * onChunk receives { start, results, processed, total } as each chunk
+   * arrives. Rejects with BatchCancelledError after cancel() and with
+   * BatchWorkerError when the worker fails.
+   */
+  run(patients, { version = null, options = {}, onChunk = null } = {}) {
+    this.cancel();
+    this.worker ??= new Worker(this.workerUrl, { type: "module" });
+
+    const jobId = this.nextJobId++;
+    const results = new Array(patients.length);
+
+    return new Promise((resolve, reject) => {
+      const fail = (message) => {
+        this.job = null;
+        this.terminate();
+        reject(new BatchWorkerError(message));
+      };
+      this.job = { jobId, reject };
+
+      this.worker.onmessage = ({ data }) => {
+        if (data.jobId !== jobId) return;
+
+        if (data.type === "chunk") {
+          data.results.forEach((result, i) => {
+            results[data.start + i] = result;
+          });
+          onChunk?.(data);
+        } else if (data.type === "done") {
+          this.job = null;
+          resolve(results);
+        } else if (data.type === "error") {
+          fail(`${data.name}: ${data.message}`);
+        }
+      };
+      // Also fires when a browser without module workers can't load it
+      this.worker.onerror = (event) => {
+        event.preventDefault?.();
+        fail(`Batch worker failed: ${event.message || "could not start"}`);
+      };
+
+      this.worker.postMessage({ type: "run", jobId, version, patients, options });
+    });
+  }
+
+  /**
+   * Stop the current run, if any; its promise rejects with
+   * BatchCancelledError
+   */
+  cancel() {
+    if (!this.job) return;
+    const { reject } = this.job;
+    this.job = null;
+    this.terminate();
+    reject(new BatchCancelledError());
+  }
+
+  terminate() {
+    this.worker?.terminate();
+    this.worker = null;
+  }
+}
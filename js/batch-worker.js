@@ -0,0 +1,56 @@
+// batch-worker.js - Batch calculation off the main thread
+// Started as a module worker by BatchWorkerClient (batch-worker-client.js).
+// The lookup grid is loaded once per worker, and each chunk of results is
+// posted back as soon as it is calculated, so registry-sized files don't
+// freeze the page. Rows go through the same processBatch as the page's
+// main-thread fallback, so both give identical results.
+//
+// Messages in:  { type: "run", jobId, version, patients, options }
+// Messages out: { type: "chunk", jobId, start, results, processed, total }
+//               { type: "done", jobId, provenance }
+//               { type: "error", jobId, name, message }
+
+import { loadModelVersion } from "./model-registry.js";
+import { processBatch } from "./batch-utils.js";
+
+let loadedVersion = null;
+let modelPromise = null;
+
+/**
+ * The model for a grid version, loaded on first use and kept for later runs
+ */
+function loadModel(version) {
+  if (!modelPromise || version !== loadedVersion) {
+    loadedVersion = version;
+    modelPromise = loadModelVersion(version);
+    // Let a later run retry after a failed load
+    modelPromise.catch(() => {
+      modelPromise = null;
+    });
+  }
+  return modelPromise;
+}
+
+/**
+ * Run one job, sending its messages through post (self.postMessage in
+ * the worker)
+ */
+export async function runBatchJob({ jobId, version, patients, options }, post) {
+  try {
+    const model = await loadModel(version);
+    await processBatch(model, patients, options, {
+      onChunk: (chunk) => post({ type: "chunk", jobId, ...chunk }),
+    });
+    post({ type: "done", jobId, provenance: model.provenance });
+  } catch (error) {
+    post({ type: "error", jobId, name: error.name, message: error.message });
+  }
+}
+
+if (typeof WorkerGlobalScope !== "undefined" && self instanceof WorkerGlobalScope) {
+  self.onmessage = ({ data }) => {
+    if (data.type === "run") {
+      runBatchJob(data, (message) => self.postMessage(message));
+    }
+  };
+}
@@ -0,0 +1,61 @@
+// bsa.js - Body surface area and BSA-indexed AAD
+// Shown next to the Groningen result for comparison with BSA-based
+// nomograms; the Groningen model itself uses height and weight directly.
+
+/**
+ * BSA formulas (weight in kg, height in cm, result in m²)
+ */
+export const BSA_FORMULAS = {
+  haycock: {
+    label: "Haycock",
+    // Haycock et al., J Pediatr 1978
+    compute: (weight, height) =>
+      0.024265 * weight ** 0.5378 * height ** 0.3964,
+  },
+  mosteller: {
+    label: "Mosteller",
+    // Mosteller, N Engl J Med 1987
+    compute: (weight, height) => Math.sqrt((weight * height) / 3600),
+  },
+  dubois: {
+    label: "DuBois",
+    // DuBois & DuBois, Arch Intern Med 1916
+    compute: (weight, height) =>
+      0.007184 * weight ** 0.425 * height ** 0.725,
+  },
+};
+
+/**
+ * localStorage key for the formula chosen on the index and results pages
+ */
+export const BSA_FORMULA_KEY = "groningen-aov-bsa-formula";
+
+/**
+ * Haycock was validated from infancy to adulthood, matching the model's range
+ */
+export const DEFAULT_BSA_FORMULA = "haycock";
+
+/**
+ * Body surface area (m²) from canonical weight (kg) and height (cm)
+ * Throws RangeError for an unknown formula or non-positive inputs
+ */
+export function bodySurfaceArea(weight, height, formula = DEFAULT_BSA_FORMULA) {
+  const bsaFormula = BSA_FORMULAS[formula];
+  if (!bsaFormula) {
+    throw new RangeError(
+      `Unknown BSA formula "${formula}" (use ${Object.keys(BSA_FORMULAS).join(", ")})`
+    );
+  }
+  if (!(weight > 0 && height > 0)) {
+    throw new RangeError("BSA needs a positive weight and height");
+  }
+
+  return bsaFormula.compute(weight, height);
+}
+
+/**
+ * AAD indexed to body surface area (mm/m²)
+ */
+export function indexedAAD(aad, bsa) {
+  return aad / bsa;
+}
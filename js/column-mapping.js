@@ -0,0 +1,343 @@
+// column-mapping.js - Matching input headers to the batch columns
+// EHR and registry exports rarely use our column names ("Geslacht",
+// "Leeftijd_jr", "Gewicht (kg)"). Headers are matched against English and
+// Dutch synonyms, optionally followed by a unit ("age_days", "Gewicht (lb)"),
+// and the user confirms or corrects the result on /batch/. A confirmed
+// mapping can be saved as a named profile in this browser for the next
+// export. Values in other units are converted to the model's units with the
+// form's Conversions (form-utils.js).
+
+import { Conversions } from "./form-utils.js";
+
+/**
+ * Columns a header can be mapped to, with the names they go by
+ */
+export const BATCH_COLUMNS = [
+  {
+    key: "sex",
+    label: "Sex",
+    synonyms: ["gender", "geslacht", "sekse", "m_f", "m_v", "male_female", "man_vrouw"],
+  },
+  {
+    key: "age",
+    label: "Age",
+    synonyms: ["leeftijd", "lft", "age_at_exam", "leeftijd_bij_onderzoek"],
+  },
+  {
+    key: "dob",
+    label: "Date of birth",
+    synonyms: [
+      "date_of_birth",
+      "birth_date",
+      "birthdate",
+      "geboortedatum",
+      "geb_datum",
+      "gebdat",
+    ],
+  },
+  {
+    key: "exam_date",
+    label: "Exam date",
+    synonyms: [
+      "examination_date",
+      "study_date",
+      "scan_date",
+      "echo_date",
+      "onderzoeksdatum",
+      "datum_onderzoek",
+      "echodatum",
+      "echo_datum",
+    ],
+  },
+  {
+    key: "gestational_age",
+    label: "Gestational age",
+    synonyms: ["gestation", "ga", "zwangerschapsduur", "amenorroeduur"],
+  },
+  {
+    key: "height",
+    label: "Height",
+    synonyms: ["length", "stature", "body_height", "lengte", "lichaamslengte"],
+  },
+  {
+    key: "weight",
+    label: "Weight",
+    synonyms: ["body_weight", "mass", "body_mass", "gewicht", "lichaamsgewicht"],
+  },
+  {
+    key: "aad",
+    label: "AAD",
+    synonyms: [
+      "annulus",
+      "aortic_annulus",
+      "annulus_diameter",
+      "aortic_annulus_diameter",
+      "aortic_annular_diameter",
+      "aortic_valve_annulus",
+      "aorta_annulus",
+      "annulus_aortae",
+    ],
+  },
+];
+
+/**
+ * Units each numeric column can be given in, the model's unit first:
+ * label, the header suffixes that declare it and the conversion to the
+ * model's unit
+ */
+export const COLUMN_UNITS = {
+  age: {
+    years: { label: "years", suffixes: ["y", "yr", "yrs", "year", "years", "jr", "jaar", "jaren"] },
+    months: {
+      label: "months",
+      suffixes: ["mo", "mos", "month", "months", "mnd", "maand", "maanden"],
+      toModel: (value) => Conversions.convertToYears(value, "months"),
+    },
+    weeks: {
+      label: "weeks",
+      suffixes: ["wk", "wks", "week", "weeks", "wkn", "weken"],
+      toModel: (value) => Conversions.convertToYears(value, "weeks"),
+    },
+    days: {
+      label: "days",
+      suffixes: ["d", "day", "days", "dag", "dagen"],
+      toModel: (value) => Conversions.convertToYears(value, "days"),
+    },
+  },
+  gestational_age: {
+    weeks: { label: "weeks", suffixes: ["w", "wk", "wks", "week", "weeks", "wkn", "weken"] },
+  },
+  height: {
+    cm: { label: "cm", suffixes: ["cm"] },
+    mm: { label: "mm", suffixes: ["mm"], toModel: Conversions.mmToCm },
+    m: { label: "m", suffixes: ["m"], toModel: Conversions.metersToCm },
+    in: { label: "inches", suffixes: ["in", "inch", "inches"], toModel: Conversions.inchesToCm },
+  },
+  weight: {
+    kg: { label: "kg", suffixes: ["kg"] },
+    g: { label: "g", suffixes: ["g", "gram", "grams"], toModel: Conversions.gramsToKg },
+    lb: { label: "lb", suffixes: ["lb", "lbs", "pound", "pounds"], toModel: Conversions.lbsToKg },
+  },
+  aad: {
+    mm: { label: "mm", suffixes: ["mm"] },
+    cm: { label: "cm", suffixes: ["cm"], toModel: Conversions.cmToMm },
+  },
+};
+
+/**
+ * The unit the model reads a column in, or null for columns without units
+ */
+export function modelUnit(column) {
+  return COLUMN_UNITS[column] ? Object.keys(COLUMN_UNITS[column])[0] : null;
+}
+
+/**
+ * Convert a value given in `unit` to the column's model unit
+ */
+export function toModelUnit(column, value, unit = null) {
+  if (!unit || unit === modelUnit(column)) return value;
+  const definition = COLUMN_UNITS[column]?.[unit];
+  if (!definition) {
+    throw new RangeError(`Unknown unit "${unit}" for ${column}`);
+  }
+  return definition.toModel(value);
+}
+
+/**
+ * localStorage key holding the saved profiles ({ name: mapping })
+ */
+export const COLUMN_PROFILES_KEY = "groningen-aov-column-profiles";
+
+/**
+ * Header as the batch parser names it (csvParseOptions): trimmed and
+ * lower-cased. Mappings are keyed by this form.
+ */
+export function headerKey(header) {
+  return header.trim().toLowerCase();
+}
+
+/**
+ * Header reduced to lower-case words joined by "_", without accents:
+ * "Gewicht (kg)" → "gewicht_kg", "Leeftijd-jr." → "leeftijd_jr"
+ */
+export function normalizeHeader(header) {
+  return header
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "_")
+    .replace(/^_+|_+$/g, "");
+}
+
+/**
+ * The unit a header's last word declares for a column ("age_days" → days),
+ * or null
+ */
+export function headerUnit(header, column) {
+  const words = normalizeHeader(header).split("_");
+  if (words.length < 2) return null;
+  const suffix = words[words.length - 1];
+  const units = Object.entries(COLUMN_UNITS[column] ?? {});
+  return units.find(([, { suffixes }]) => suffixes.includes(suffix))?.[0] ?? null;
+}
+
+/**
+ * The batch column a header names, or null. Exact column names score 2,
+ * synonyms 1, either with or without a unit suffix. With synonyms off only
+ * column names count.
+ */
+function matchHeader(header, synonyms = true) {
+  const name = normalizeHeader(header);
+
+  for (const column of BATCH_COLUMNS) {
+    const names = synonyms ? [column.key, ...column.synonyms] : [column.key];
+    const base = headerUnit(header, column.key)
+      ? name.slice(0, name.lastIndexOf("_"))
+      : null;
+    if (names.includes(name) || names.includes(base)) {
+      return { key: column.key, score: name === column.key || base === column.key ? 2 : 1 };
+    }
+  }
+  return null;
+}
+
+/**
+ * Suggested mapping for a header row: { [headerKey]: column key } for the
+ * headers that could be matched. In mappings the user edits, null marks a
+ * header explicitly set to "Not used". Each column is used once; a header with
+ * the exact column name (e.g. "age" or "age_days") wins over synonyms, then
+ * the leftmost header. { synonyms: false } matches column names only.
+ */
+export function suggestColumnMapping(headers, { synonyms = true } = {}) {
+  const matches = headers
+    .map((header, index) => ({
+      header: headerKey(header),
+      index,
+      match: matchHeader(header, synonyms),
+    }))
+    .filter(({ match }) => match)
+    .sort((a, b) => b.match.score - a.match.score || a.index - b.index);
+
+  const mapping = {};
+  const used = new Set();
+  for (const { header, match } of matches) {
+    if (used.has(match.key) || header in mapping) continue;
+    mapping[header] = match.key;
+    used.add(match.key);
+  }
+  return mapping;
+}
+
+/**
+ * Units declared by the mapped headers' suffixes, { [column key]: unit },
+ * for columns not in the model's unit
+ */
+export function suggestColumnUnits(headers, mapping) {
+  const units = {};
+  for (const header of headers) {
+    const column = mapping[headerKey(header)];
+    const unit = column ? headerUnit(header, column) : null;
+    if (unit && unit !== modelUnit(column)) units[column] = unit;
+  }
+  return units;
+}
+
+/**
+ * Whether a mapping changes nothing, i.e. maps every header to the column
+ * of its own name (a header mapped to null is not used, which is a change)
+ */
+export function isIdentityMapping(mapping) {
+  return Object.entries(mapping).every(([header, key]) => header === key);
+}
+
+/**
+ * Whether a (parsed) column name is one of BATCH_COLUMNS
+ */
+export function isBatchColumn(name) {
+  return BATCH_COLUMNS.some(({ key }) => key === name);
+}
+
+/**
+ * transformHeader for parseCsv that applies a mapping. Mapped headers take
+ * their column's name and other column names are lower-cased. A header the
+ * user set to "Not used" (mapped to null) and an unmapped header that has
+ * the name of a column mapped from elsewhere return null, which leaves them
+ * out of the records. Any other header (an ID, a visit date) keeps its
+ * spelling, so it can be passed through to the results.
+ */
+export function mappingHeaderTransform(mapping) {
+  const mappedColumns = new Set(Object.values(mapping));
+  return (header) => {
+    const key = headerKey(header);
+    if (key in mapping) return mapping[key];
+    if (mappedColumns.has(key)) return null;
+    return isBatchColumn(key) ? key : header.trim();
+  };
+}
+
+/**
+ * The parts of a saved mapping that apply to a header row
+ */
+export function mappingForHeaders(mapping, headers) {
+  const keys = new Set(headers.map(headerKey));
+  return Object.fromEntries(
+    Object.entries(mapping).filter(([header]) => keys.has(header))
+  );
+}
+
+/**
+ * Saved profiles, { name: { columns, units } } with a mapping and its
+ * units (empty outside the browser). Profiles saved before units could be
+ * chosen are plain mappings.
+ */
+export function loadColumnProfiles(storage = globalThis.localStorage) {
+  if (!storage) return {};
+  try {
+    const profiles = JSON.parse(storage.getItem(COLUMN_PROFILES_KEY)) ?? {};
+    return Object.fromEntries(
+      Object.entries(profiles).map(([name, profile]) => [
+        name,
+        typeof profile.columns === "object"
+          ? profile
+          : { columns: profile, units: {} },
+      ])
+    );
+  } catch {
+    return {};
+  }
+}
+
+/**
+ * Save a mapping and its units under a name, replacing a profile of the
+ * same name
+ */
+export function saveColumnProfile(
+  name,
+  mapping,
+  units = {},
+  storage = globalThis.localStorage
+) {
+  const profiles = loadColumnProfiles(storage);
+  profiles[name] = { columns: mapping, units };
+  storage.setItem(COLUMN_PROFILES_KEY, JSON.stringify(profiles));
+}
+
+export function deleteColumnProfile(name, storage = globalThis.localStorage) {
+  const profiles = loadColumnProfiles(storage);
+  delete profiles[name];
+  storage.setItem(COLUMN_PROFILES_KEY, JSON.stringify(profiles));
+}
+
+/**
+ * Name of the first saved profile whose headers all appear in a header
+ * row, or null
+ */
+export function findMatchingProfile(profiles, headers) {
+  const keys = new Set(headers.map(headerKey));
+  const match = Object.entries(profiles).find(
+    ([, { columns }]) =>
+      Object.keys(columns).length > 0 &&
+      Object.keys(columns).every((header) => keys.has(header))
+  );
+  return match ? match[0] : null;
+}
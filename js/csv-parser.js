@@ -0,0 +1,252 @@
+// csv-parser.js - RFC 4180 CSV/TSV parsing for batch input
+// Replaces the PapaParse CDN script so /batch/ works offline, and is used by
+// the command-line tool too. Handles quoted fields (with embedded
+// delimiters, quotes and line breaks), a UTF-8 byte order mark, CRLF or CR
+// line endings, and decimal commas in semicolon- or tab-separated files.
+// Text can be parsed in one go (parseCsv) or pushed in chunks of any size
+// (CsvStreamParser), e.g. from a File stream for very large uploads.
+
+/**
+ * A plain number, e.g. "12", "-0.5", ".5" or "1e3"
+ */
+const NUMBER = /^\s*-?(\d+\.?\d*|\.\d+)([eE][-+]?\d+)?\s*$/;
+
+/**
+ * A number with a decimal comma, e.g. "12,5" (European spreadsheets)
+ */
+const DECIMAL_COMMA_NUMBER = /^\s*-?\d+,\d+\s*$/;
+
+/**
+ * Splits text into rows of raw field strings. Text can arrive in chunks
+ * that end anywhere, even inside a quoted field or between CR and LF;
+ * push() returns the rows completed so far and finish() the last one.
+ * An unterminated quote is reported in `errors` and runs to the end.
+ */
+export class CsvRowSplitter {
+  constructor(delimiter = ",") {
+    this.delimiter = delimiter;
+    this.errors = [];
+    this.row = [];
+    this.field = "";
+    this.quoted = false;
+    this.quoteStartRow = 0;
+    this.rowCount = 0;
+    this.started = false;
+    // A chunk ended with CR, so a leading LF in the next belongs to it
+    this.skipLineFeed = false;
+    // A chunk ended with a quote inside a quoted field
+    this.pendingQuote = false;
+  }
+
+  push(text) {
+    const rows = [];
+    if (text.length === 0) return rows;
+
+    let i = 0;
+    if (!this.started) {
+      this.started = true;
+      if (text.charCodeAt(0) === 0xfeff) i = 1;
+    }
+    if (this.skipLineFeed && text[i] === "\n") i++;
+    this.skipLineFeed = false;
+
+    const endRow = () => {
+      this.row.push(this.field);
+      rows.push(this.row);
+      this.row = [];
+      this.field = "";
+      this.rowCount++;
+    };
+
+    for (; i < text.length; i++) {
+      const char = text[i];
+
+      if (this.quoted) {
+        if (char !== '"') {
+          this.field += char;
+        } else if (i + 1 === text.length) {
+          // Can't tell "" from a closing quote yet; decide on the next chunk
+          this.pendingQuote = true;
+        } else if (text[i + 1] === '"') {
+          this.field += '"';
+          i++;
+        } else {
+          this.quoted = false;
+        }
+        continue;
+      }
+
+      if (this.pendingQuote) {
+        this.pendingQuote = false;
+        if (char === '"') {
+          this.quoted = true;
+          this.field += '"';
+          continue;
+        }
+      }
+
+      if (char === '"' && this.field.trim() === "") {
+        // Opening quote; spaces before it are dropped
+        this.field = "";
+        this.quoted = true;
+        this.quoteStartRow = this.rowCount;
+      } else if (char === this.delimiter) {
+        this.row.push(this.field);
+        this.field = "";
+      } else if (char === "\r" || char === "\n") {
+        endRow();
+        if (char === "\r") {
+          if (i + 1 === text.length) this.skipLineFeed = true;
+          else if (text[i + 1] === "\n") i++;
+        }
+      } else {
+        this.field += char;
+      }
+    }
+
+    // A quote that ended the chunk closes the field unless the next
+    // chunk starts with another quote
+    if (this.pendingQuote) this.quoted = false;
+
+    return rows;
+  }
+
+  finish() {
+    const rows = [];
+    this.pendingQuote = false;
+    if (this.quoted) {
+      this.errors.push({
+        code: "MissingQuotes",
+        row: this.quoteStartRow,
+        message: `Quoted field in row ${this.quoteStartRow + 1} is never closed`,
+      });
+    }
+    // A final line break doesn't start another row
+    if (this.field !== "" || this.row.length > 0 || this.quoted) {
+      this.row.push(this.field);
+      rows.push(this.row);
+    }
+    this.row = [];
+    this.field = "";
+    this.quoted = false;
+    return rows;
+  }
+}
+
+/**
+ * Split text into rows of raw field strings: { rows, errors }
+ */
+export function splitRows(text, delimiter = ",") {
+  const splitter = new CsvRowSplitter(delimiter);
+  const rows = [...splitter.push(text), ...splitter.finish()];
+  return { rows, errors: splitter.errors };
+}
+
+/**
+ * Convert a field to a number when it is one (decimal commas only when
+ * decimalComma is set), otherwise return it unchanged; blank fields are null
+ */
+export function parseValue(value, { decimalComma = false } = {}) {
+  if (value.trim() === "") return null;
+  if (NUMBER.test(value)) return parseFloat(value);
+  if (decimalComma && DECIMAL_COMMA_NUMBER.test(value)) {
+    return parseFloat(value.replace(",", "."));
+  }
+  return value;
+}
+
+/**
+ * Incremental form of parseCsv: push() text chunks and get back the
+ * records completed so far, then finish() for the rest. `fields` holds the
+ * header once it has been read; `errors` collects problems as parseCsv
+ * reports them, keeping the first maxErrors (errorCount counts them all).
+ */
+export class CsvStreamParser {
+  constructor({
+    delimiter = ",",
+    decimalComma = false,
+    transformHeader = (header) => header,
+    keepText = () => false,
+    maxErrors = Infinity,
+  } = {}) {
+    this.splitter = new CsvRowSplitter(delimiter);
+    this.decimalComma = decimalComma;
+    this.transformHeader = transformHeader;
+    this.keepText = keepText;
+    this.maxErrors = maxErrors;
+    this.fields = null;
+    this.errors = [];
+    this.errorCount = 0;
+    this.dataRows = 0;
+  }
+
+  addError(error) {
+    this.errorCount++;
+    if (this.errors.length < this.maxErrors) this.errors.push(error);
+  }
+
+  push(text) {
+    return this.records(this.splitter.push(text));
+  }
+
+  finish() {
+    const records = this.records(this.splitter.finish());
+    this.splitter.errors.forEach((error) => this.addError(error));
+    return records;
+  }
+
+  records(rows) {
+    const records = [];
+    for (const row of rows) {
+      // Rows with only blank fields are skipped
+      if (!row.some((field) => field.trim() !== "")) continue;
+
+      if (!this.fields) {
+        this.fields = row.map((header) => this.transformHeader(header));
+        continue;
+      }
+
+      const index = this.dataRows++;
+      if (row.length !== this.fields.length) {
+        const tooFew = row.length < this.fields.length;
+        this.addError({
+          code: tooFew ? "TooFewFields" : "TooManyFields",
+          row: index,
+          message: `Row ${index + 1} has ${row.length} fields, expected ${this.fields.length}`,
+        });
+      }
+
+      const record = {};
+      this.fields.forEach((field, column) => {
+        if (column < row.length && field !== null) {
+          record[field] = this.keepText(field)
+            ? row[column]
+            : parseValue(row[column], { decimalComma: this.decimalComma });
+        }
+      });
+      records.push(record);
+    }
+    return records;
+  }
+}
+
+/**
+ * Parse delimited text with a header row into objects keyed by header:
+ * { data, errors, meta: { fields, delimiter } }
+ * Options: delimiter (default ","), decimalComma (read "12,5" as 12.5),
+ * transformHeader (applied to each header name; returning null leaves the
+ * column out of the records) and keepText (given a transformed header,
+ * whether its values stay text as written, e.g. IDs with leading zeros).
+ * Rows with only blank fields are skipped; rows with too few or too many
+ * fields are kept and reported in errors as { code, row, message }, row
+ * counting data rows from 0.
+ */
+export function parseCsv(text, options = {}) {
+  const parser = new CsvStreamParser(options);
+  const data = [...parser.push(text), ...parser.finish()];
+  return {
+    data,
+    errors: parser.errors,
+    meta: { fields: parser.fields ?? [], delimiter: options.delimiter ?? "," },
+  };
+}
@@ -1,5 +1,7 @@
 // enhanced-form-utils.js - Consistent form behavior for both pages
 
+import { ageFromDates, todayIsoDate } from './age.js';
+
 /**
  * Unit conversion functions
  */
@@ -17,7 +19,7 @@ export const Conversions = {
     const conversions = {
       'years': 1,
       'months': 1/12,
-      'weeks': 1/52.18,
+      'weeks': 7/365.25,
       'days': 1/365.25
     };
     return value * conversions[unit];
@@ -39,6 +41,13 @@ export class UniversalFormController {
       sex: document.getElementById('sex'),
       ageValue: document.getElementById('age-value'),
       ageUnit: document.getElementById('age-unit'),
+      ageModeAge: document.getElementById('age-mode-age'),
+      ageModeDates: document.getElementById('age-mode-dates'),
+      ageValueSection: document.getElementById('age-value-section'),
+      ageDatesSection: document.getElementById('age-dates-section'),
+      dob: document.getElementById('dob'),
+      examDate: document.getElementById('exam-date'),
+      gestationalAge: document.getElementById('gestational-age'),
       height: document.getElementById('height'),
       weight: document.getElementById('weight'),
       measuredAAD: document.getElementById('measuredAAD'),
@@ -57,6 +66,7 @@ export class UniversalFormController {
   init() {
     this.setupEventListeners();
     this.updateUnitLabels(); // Initial setup
+    this.updateAgeMode();
   }
 
   setupEventListeners() {
@@ -99,6 +109,77 @@ export class UniversalFormController {
         this.updateAgeConversion();
       });
     }
+
+    // Age entry mode: age + unit, or dates
+    [this.elements.ageModeAge, this.elements.ageModeDates].forEach((radio) => {
+      radio?.addEventListener('change', () => this.updateAgeMode());
+    });
+
+    [this.elements.dob, this.elements.examDate, this.elements.gestationalAge].forEach((input) => {
+      input?.addEventListener('input', () => this.updateAgeConversion());
+    });
+  }
+
+  isDateMode() {
+    return Boolean(this.elements.ageModeDates && this.elements.ageModeDates.checked);
+  }
+
+  /**
+   * Show the inputs for the chosen age mode; the hidden ones are disabled
+   * so they are neither required nor submitted
+   */
+  updateAgeMode() {
+    const dateMode = this.isDateMode();
+
+    if (this.elements.ageValueSection) this.elements.ageValueSection.hidden = dateMode;
+    if (this.elements.ageDatesSection) this.elements.ageDatesSection.hidden = !dateMode;
+
+    [this.elements.ageValue, this.elements.ageUnit].forEach((input) => {
+      if (input) input.disabled = dateMode;
+    });
+    [this.elements.dob, this.elements.examDate, this.elements.gestationalAge].forEach((input) => {
+      if (input) input.disabled = !dateMode;
+    });
+    if (this.elements.dob) this.elements.dob.required = dateMode;
+    if (this.elements.examDate) {
+      this.elements.examDate.required = dateMode;
+      this.elements.examDate.max = todayIsoDate();
+      if (dateMode && !this.elements.examDate.value) {
+        this.elements.examDate.value = todayIsoDate();
+      }
+    }
+
+    this.updateAgeConversion();
+  }
+
+  /**
+   * Age from the dates inputs: { age, chronologicalAge, correctionWeeks },
+   * or { error } when they are incomplete or invalid
+   */
+  getAgeFromDates() {
+    const dob = this.elements.dob?.value;
+    const examDate = this.elements.examDate?.value;
+    if (!dob || !examDate) return { error: null };
+
+    try {
+      return ageFromDates(dob, examDate, this.elements.gestationalAge?.value);
+    } catch (error) {
+      return { error: error.message };
+    }
+  }
+
+  /**
+   * Age in years from whichever age mode is active (NaN when incomplete)
+   */
+  getAgeYears() {
+    if (this.isDateMode()) {
+      const { age } = this.getAgeFromDates();
+      return age ?? NaN;
+    }
+
+    const ageValue = parseFloat(this.elements.ageValue?.value) || 0;
+    const ageUnit = this.elements.ageUnit?.value || 'years';
+    return Conversions.convertToYears(ageValue, ageUnit);
   }
 
   isMetric() {
@@ -190,6 +271,21 @@ export class UniversalFormController {
   updateAgeConversion() {
     if (!this.elements.ageValue || !this.elements.ageConversion) return;
 
+    if (this.isDateMode()) {
+      const { age, chronologicalAge, correctionWeeks, error } = this.getAgeFromDates();
+      if (error) {
+        this.elements.ageConversion.textContent = `(${error})`;
+      } else if (age === undefined) {
+        this.elements.ageConversion.textContent = '';
+      } else if (correctionWeeks > 0) {
+        this.elements.ageConversion.textContent =
+          `(= ${age.toFixed(3)} years corrected for ${correctionWeeks.toFixed(1)} weeks prematurity; ${chronologicalAge.toFixed(3)} years chronological)`;
+      } else {
+        this.elements.ageConversion.textContent = `(= ${age.toFixed(3)} years)`;
+      }
+      return;
+    }
+
     const ageValue = parseFloat(this.elements.ageValue.value);
     const ageUnit = this.elements.ageUnit ? this.elements.ageUnit.value : 'years';
     
@@ -217,13 +313,11 @@ export class UniversalFormController {
     const isMetric = this.isMetric();
     const heightValue = parseFloat(this.elements.height?.value) || 0;
     const weightValue = parseFloat(this.elements.weight?.value) || 0;
-    const ageValue = parseFloat(this.elements.ageValue?.value) || 0;
-    const ageUnit = this.elements.ageUnit?.value || 'years';
 
     return {
       height: isMetric ? heightValue : Conversions.inchesToCm(heightValue),
       weight: isMetric ? weightValue : Conversions.lbsToKg(weightValue),
-      age: Conversions.convertToYears(ageValue, ageUnit),
+      age: this.getAgeYears(),
       sex: this.elements.sex?.value || '',
       measuredAAD: parseFloat(this.elements.measuredAAD?.value) || null
     };
@@ -266,6 +360,13 @@ export class UniversalFormController {
     if (this.elements.ageUnit) {
       this.elements.ageUnit.value = urlParams.get('ageUnit') || 'years';
     }
+
+    if (urlParams.get('ageMode') === 'dates' && this.elements.ageModeDates) {
+      this.elements.ageModeDates.checked = true;
+      this.elements.dob.value = urlParams.get('dob') || '';
+      this.elements.examDate.value = urlParams.get('examDate') || '';
+      this.elements.gestationalAge.value = urlParams.get('ga') || '';
+    }
     
     if (this.elements.height) {
       this.elements.height.value = urlParams.get('height') || '';
@@ -281,6 +382,7 @@ export class UniversalFormController {
 
     // Update UI to match populated values
     this.updateUnitLabels();
+    this.updateAgeMode();
     this.updateAllConversions();
   }
 }
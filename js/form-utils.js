@@ -1,5 +1,7 @@
 // form-utils.js - Pure utility functions for unit conversions
 
+import { ageFromDates } from './age.js';
+
 /**
  * Unit conversion functions
  */
@@ -7,17 +9,23 @@ export const Conversions = {
   // Height conversions
   cmToInches: (cm) => cm / 2.54,
   inchesToCm: (inches) => inches * 2.54,
+  mmToCm: (mm) => mm / 10,
+  metersToCm: (m) => m * 100,
   
   // Weight conversions
   kgToLbs: (kg) => kg * 2.20462,
   lbsToKg: (lbs) => lbs / 2.20462,
+  gramsToKg: (g) => g / 1000,
+  
+  // Diameter conversions
+  cmToMm: (cm) => cm * 10,
   
   // Age conversions to years
   convertToYears: (value, unit) => {
     const conversions = {
       'years': 1,
       'months': 1/12,
-      'weeks': 1/52.18,
+      'weeks': 7/365.25,
       'days': 1/365.25
     };
     return value * conversions[unit];
@@ -36,6 +44,10 @@ export class FormValueReader {
       weight: document.getElementById('weight'),
       ageValue: document.getElementById('age-value'),
       ageUnit: document.getElementById('age-unit'),
+      ageModeDates: document.getElementById('age-mode-dates'),
+      dob: document.getElementById('dob'),
+      examDate: document.getElementById('exam-date'),
+      gestationalAge: document.getElementById('gestational-age'),
       sex: document.getElementById('sex'),
       measuredAAD: document.getElementById('measuredAAD')
     };
@@ -48,18 +60,37 @@ export class FormValueReader {
     const isMetric = this.elements.metric.checked;
     const heightValue = parseFloat(this.elements.height.value) || 0;
     const weightValue = parseFloat(this.elements.weight.value) || 0;
-    const ageValue = parseFloat(this.elements.ageValue.value) || 0;
-    const ageUnit = this.elements.ageUnit.value;
 
     return {
       height: isMetric ? heightValue : Conversions.inchesToCm(heightValue),
       weight: isMetric ? weightValue : Conversions.lbsToKg(weightValue),
-      age: Conversions.convertToYears(ageValue, ageUnit),
+      age: this.getAgeYears(),
       sex: this.elements.sex.value,
       measured: parseFloat(this.elements.measuredAAD.value) || 0
     };
   }
 
+  /**
+   * Age in years from the age + unit inputs, or from date of birth and
+   * examination date when the dates mode is chosen (NaN when incomplete)
+   */
+  getAgeYears() {
+    if (this.elements.ageModeDates && this.elements.ageModeDates.checked) {
+      try {
+        return ageFromDates(
+          this.elements.dob.value,
+          this.elements.examDate.value,
+          this.elements.gestationalAge.value
+        ).age;
+      } catch {
+        return NaN;
+      }
+    }
+
+    const ageValue = parseFloat(this.elements.ageValue.value) || 0;
+    return Conversions.convertToYears(ageValue, this.elements.ageUnit.value);
+  }
+
   /**
    * Check if all required fields have values
    */
@@ -0,0 +1,164 @@
+// grid-binary.js - Compact binary form of the lookup grid
+// Same grid_axes and predictions as groningen_aad_lookup.json at well under
+// half the size, decoded without JSON-parsing 25,000 numbers. Written by
+// `groningen-aov convert-grid` and preferred by loadModelVersion when the
+// manifest lists one; the JSON grid stays the fallback and the reference.
+//
+// Layout (little-endian):
+//   0   "GAAD" magic
+//   4   uint32 format version (1)
+//   8   uint32 byte length of the JSON header
+//   12  JSON header: metadata, dimensions, original_ranges, test_cases and
+//       prediction_scale, padded with spaces so the arrays start at a
+//       multiple of 8
+//   ... float64 axes: log_weight, sqrt_height, log_age_plus_1
+//   ... int32 predictions × prediction_scale: mean_aad, std_dev (R's
+//       column-major order). The grid has 6 decimals, so this is lossless:
+//       decoded values are the same doubles JSON.parse gives.
+
+/**
+ * First bytes of every binary grid
+ */
+export const GRID_MAGIC = "GAAD";
+
+/**
+ * Binary format version written by encodeLookupGrid
+ */
+export const GRID_FORMAT_VERSION = 1;
+
+const AXES = ["log_weight", "sqrt_height", "log_age_plus_1"];
+const PREDICTIONS = ["mean_aad", "std_dev"];
+const HEADER_KEYS = ["metadata", "dimensions", "original_ranges", "test_cases"];
+
+/**
+ * Fixed-point scale of the stored predictions (6 decimals)
+ */
+export const PREDICTION_SCALE = 1e6;
+
+/**
+ * True when the bytes start with the binary grid magic
+ */
+export function isBinaryGrid(bytes) {
+  return (
+    bytes.length >= 12 &&
+    String.fromCharCode(...bytes.subarray(0, 4)) === GRID_MAGIC
+  );
+}
+
+/**
+ * Encode a parsed JSON grid as binary (Uint8Array). Throws RangeError when
+ * a prediction has more decimals than PREDICTION_SCALE keeps, so the
+ * binary grid never differs from the JSON one.
+ */
+export function encodeLookupGrid(lookupData) {
+  const header = { prediction_scale: PREDICTION_SCALE };
+  for (const key of HEADER_KEYS) {
+    if (key in lookupData) header[key] = lookupData[key];
+  }
+
+  const headerBytes = new TextEncoder().encode(JSON.stringify(header));
+  const padding = (8 - ((12 + headerBytes.length) % 8)) % 8;
+
+  const axes = AXES.map((axis) => lookupData.grid_axes[axis]);
+  const predictions = PREDICTIONS.map((name) => lookupData.predictions[name]);
+  const axesLength = axes.reduce((sum, values) => sum + values.length, 0);
+  const predictionsLength = predictions.reduce(
+    (sum, values) => sum + values.length,
+    0
+  );
+
+  const jsonLength = headerBytes.length + padding;
+  const bytes = new Uint8Array(
+    12 + jsonLength + axesLength * 8 + predictionsLength * 4
+  );
+  const view = new DataView(bytes.buffer);
+
+  bytes.set(new TextEncoder().encode(GRID_MAGIC), 0);
+  view.setUint32(4, GRID_FORMAT_VERSION, true);
+  view.setUint32(8, jsonLength, true);
+  bytes.set(headerBytes, 12);
+  bytes.fill(0x20, 12 + headerBytes.length, 12 + jsonLength);
+
+  let offset = 12 + jsonLength;
+  for (const values of axes) {
+    for (const value of values) {
+      view.setFloat64(offset, value, true);
+      offset += 8;
+    }
+  }
+  PREDICTIONS.forEach((name, i) => {
+    for (const value of predictions[i]) {
+      const fixed = Math.round(value * PREDICTION_SCALE);
+      if (fixed / PREDICTION_SCALE !== value || Math.abs(fixed) > 2 ** 31 - 1) {
+        throw new RangeError(
+          `predictions.${name} value ${value} can't be stored with 6 decimals`
+        );
+      }
+      view.setInt32(offset, fixed, true);
+      offset += 4;
+    }
+  });
+
+  return bytes;
+}
+
+/**
+ * Decode a binary grid into the JSON grid's shape; predictions come back
+ * as Float64Arrays. Throws RangeError for anything that isn't a complete
+ * binary grid of a known format version.
+ */
+export function decodeLookupGrid(bytes) {
+  if (!isBinaryGrid(bytes)) {
+    throw new RangeError("Not a binary lookup grid");
+  }
+
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const version = view.getUint32(4, true);
+  if (version !== GRID_FORMAT_VERSION) {
+    throw new RangeError(`Unsupported binary grid format version ${version}`);
+  }
+
+  const jsonLength = view.getUint32(8, true);
+  const { prediction_scale: scale, ...header } = JSON.parse(
+    new TextDecoder().decode(bytes.subarray(12, 12 + jsonLength))
+  );
+
+  // R exports scalars as one-element arrays
+  const size = (key) => Number([].concat(header.dimensions?.[key])[0]);
+  const axisLengths = [size("n_weight"), size("n_height"), size("n_age")];
+  const predictionLength = axisLengths.reduce((a, b) => a * b) * size("n_sex");
+
+  const expectedBytes =
+    12 +
+    jsonLength +
+    axisLengths.reduce((a, b) => a + b) * 8 +
+    predictionLength * PREDICTIONS.length * 4;
+  if (bytes.length !== expectedBytes) {
+    throw new RangeError(
+      `Binary grid is ${bytes.length} bytes, expected ${expectedBytes}`
+    );
+  }
+
+  let offset = 12 + jsonLength;
+  const grid_axes = {};
+  AXES.forEach((axis, i) => {
+    const values = new Array(axisLengths[i]);
+    for (let j = 0; j < values.length; j++) {
+      values[j] = view.getFloat64(offset, true);
+      offset += 8;
+    }
+    grid_axes[axis] = values;
+  });
+
+  const predictions = {};
+  for (const name of PREDICTIONS) {
+    const values = new Float64Array(predictionLength);
+    for (let j = 0; j < predictionLength; j++) {
+      values[j] = view.getInt32(offset, true) / scale;
+      offset += 4;
+    }
+    predictions[name] = values;
+  }
+
+  return { ...header, grid_axes, predictions };
+}
@@ -0,0 +1,842 @@
+// groningen-model.js - Shared calculation engine for the Groningen AAD model
+// Used by the calculator (app.js), the results page and the batch page
+
+import {
+  DEFAULT_REFERENCE_INTERVAL,
+  normalQuantile,
+  referenceIntervalBounds,
+  twoSidedPValue,
+  zScoreToPercentile,
+} from "./statistics.js";
+import { isBinaryGrid, decodeLookupGrid } from "./grid-binary.js";
+
+/**
+ * Default location of the interpolation grid, relative to this module
+ */
+export const DEFAULT_LOOKUP_URL = new URL(
+  "../data/groningen_aad_lookup.json",
+  import.meta.url
+);
+
+/**
+ * Valid input ranges (matches original_ranges in the lookup grid)
+ */
+export const MODEL_RANGES = {
+  age: { min: 0, max: 59 }, // years
+  weight: { min: 1.34, max: 352.27 }, // kg
+  height: { min: 30.48, max: 236.22 }, // cm
+};
+
+/**
+ * Thrown when a calculation is attempted before the grid is loaded
+ */
+export class ModelNotLoadedError extends Error {
+  constructor(message = "Model not loaded") {
+    super(message);
+    this.name = "ModelNotLoadedError";
+  }
+}
+
+/**
+ * Thrown when inputs fall outside the model's valid ranges.
+ * `errors` holds one human-readable message per invalid input.
+ */
+export class InvalidInputError extends Error {
+  constructor(errors) {
+    super(errors.join(". "));
+    this.name = "InvalidInputError";
+    this.errors = errors;
+  }
+}
+
+/**
+ * Thrown when a lookup grid fails the checks in verifyLookupData (or its
+ * checksum doesn't match the model manifest). `failures` holds one
+ * human-readable message per failed check.
+ */
+export class ModelIntegrityError extends Error {
+  constructor(failures) {
+    super(`Model grid failed integrity checks: ${failures.join(". ")}`);
+    this.name = "ModelIntegrityError";
+    this.failures = failures;
+  }
+}
+
+/**
+ * Agreement required between the grid and the R values of its test cases
+ * (the R values are rounded to 3 decimals)
+ */
+export const TEST_CASE_TOLERANCE = 0.001;
+
+/**
+ * Convert a sex value to the grid's sex index (0=male, 1=female)
+ * Returns null for anything that isn't "male" or "female"
+ */
+export function sexIndex(sex) {
+  const value = String(sex ?? "").trim().toLowerCase();
+  if (value === "male") return 0;
+  if (value === "female") return 1;
+  return null;
+}
+
+/**
+ * Validate input values against the model ranges
+ * Returns a list of error messages (empty when all inputs are valid)
+ */
+export function validateInputs(age, weight, height, sex) {
+  const errors = [];
+  const { age: ageRange, weight: weightRange, height: heightRange } =
+    MODEL_RANGES;
+
+  // Written as !(in range) so that NaN is rejected as well
+  if (!(age >= ageRange.min && age <= ageRange.max)) {
+    errors.push(
+      `Age must be between ${ageRange.min} and ${ageRange.max} years`
+    );
+  }
+
+  if (!(weight >= weightRange.min && weight <= weightRange.max)) {
+    errors.push(
+      `Weight must be between ${weightRange.min} and ${weightRange.max} kg`
+    );
+  }
+
+  if (!(height >= heightRange.min && height <= heightRange.max)) {
+    errors.push(
+      `Height must be between ${heightRange.min} and ${heightRange.max} cm`
+    );
+  }
+
+  if (sexIndex(sex) === null) {
+    errors.push("Please select a sex");
+  }
+
+  return errors;
+}
+
+/**
+ * Input transformations (same as R model)
+ */
+export function transformInputs(age, weight, height) {
+  return {
+    logWeight: Math.log(weight),
+    sqrtHeight: Math.sqrt(height),
+    logAge: Math.log(age + 1),
+  };
+}
+
+/**
+ * Find the lower index for interpolation
+ * Equivalent to R's findInterval function, converted to 0-based indices
+ */
+export function findLowerIndex(vec, q) {
+  const n = vec.length;
+
+  // R logic: ifelse(q <= vec[1], 1, ifelse(q >= vec[n], n - 1, findInterval(q, vec)))
+  if (q <= vec[0]) return 0;
+  if (q >= vec[n - 1]) return n - 2;
+
+  // Binary search (equivalent to R's findInterval)
+  let left = 0;
+  let right = n - 1;
+
+  while (left < right - 1) {
+    const mid = Math.floor((left + right) / 2);
+    if (vec[mid] <= q) {
+      left = mid;
+    } else {
+      right = mid;
+    }
+  }
+
+  return left;
+}
+
+/**
+ * Trilinear interpolation
+ * Ported from Gerton's R implementation (docs/convert_groningen_to_json.R)
+ */
+export function trilinearInterpolation(x, y, z, flatValues, xq, yq, zq, sq) {
+  const nX = x.length;
+  const nY = y.length;
+  const nZ = z.length;
+
+  // R array layout is column-major: dim=c(length(x), length(y), length(z), 2)
+  const getValue = (i, j, k, s) =>
+    flatValues[i + j * nX + k * nX * nY + s * nX * nY * nZ];
+
+  // Find interpolation indices (0-based)
+  const i = findLowerIndex(x, xq);
+  const j = findLowerIndex(y, yq);
+  const k = findLowerIndex(z, zq);
+  const s = sq; // Sex: 0=male, 1=female
+
+  // Bounds checking
+  const i1 = Math.min(i + 1, nX - 1);
+  const j1 = Math.min(j + 1, nY - 1);
+  const k1 = Math.min(k + 1, nZ - 1);
+
+  const x0 = x[i], x1 = x[i1];
+  const y0 = y[j], y1 = y[j1];
+  const z0 = z[k], z1 = z[k1];
+
+  // Interpolation weights
+  const xd = x1 - x0 !== 0 ? (xq - x0) / (x1 - x0) : 0;
+  const yd = y1 - y0 !== 0 ? (yq - y0) / (y1 - y0) : 0;
+  const zd = z1 - z0 !== 0 ? (zq - z0) / (z1 - z0) : 0;
+
+  // The 8 surrounding grid corners
+  const c000 = getValue(i, j, k, s);
+  const c100 = getValue(i1, j, k, s);
+  const c010 = getValue(i, j1, k, s);
+  const c110 = getValue(i1, j1, k, s);
+  const c001 = getValue(i, j, k1, s);
+  const c101 = getValue(i1, j, k1, s);
+  const c011 = getValue(i, j1, k1, s);
+  const c111 = getValue(i1, j1, k1, s);
+
+  const c00 = c000 * (1 - xd) + c100 * xd;
+  const c10 = c010 * (1 - xd) + c110 * xd;
+  const c01 = c001 * (1 - xd) + c101 * xd;
+  const c11 = c011 * (1 - xd) + c111 * xd;
+
+  const c0 = c00 * (1 - yd) + c10 * yd;
+  const c1 = c01 * (1 - yd) + c11 * yd;
+
+  return c0 * (1 - zd) + c1 * zd;
+}
+
+/**
+ * Interpolation methods for the grid. "trilinear" reproduces R's
+ * trilinear_interp and is the default; "tricubic" is a smooth (C1) cubic
+ * Hermite spline along each axis, which follows the GAM's curvature between
+ * grid points more closely. Integrity checks always use trilinear.
+ */
+export const INTERPOLATION_METHODS = ["trilinear", "tricubic"];
+
+/**
+ * Weights of the grid points along one axis for a cubic Hermite spline,
+ * as [index, weight] pairs (an index can appear more than once). Tangents
+ * are centred differences, one-sided at the ends. Outside the axis the
+ * edge cell is extrapolated linearly, exactly as trilinearInterpolation does.
+ */
+function cubicAxisWeights(axis, q) {
+  const n = axis.length;
+  const i = findLowerIndex(axis, q);
+  const h = axis[i + 1] - axis[i];
+  const t = (q - axis[i]) / h;
+
+  if (q < axis[0] || q > axis[n - 1]) {
+    return [
+      [i, 1 - t],
+      [i + 1, t],
+    ];
+  }
+
+  const t2 = t * t;
+  const t3 = t2 * t;
+  const weights = [
+    [i, 2 * t3 - 3 * t2 + 1],
+    [i + 1, -2 * t3 + 3 * t2],
+  ];
+
+  // Tangent at node k times `scale`, spread over its neighbours
+  const addTangent = (k, scale) => {
+    const lo = Math.max(k - 1, 0);
+    const hi = Math.min(k + 1, n - 1);
+    const d = axis[hi] - axis[lo];
+    weights.push([hi, scale / d], [lo, -scale / d]);
+  };
+  addTangent(i, (t3 - 2 * t2 + t) * h);
+  addTangent(i + 1, (t3 - t2) * h);
+
+  return weights;
+}
+
+/**
+ * Tricubic (cubic Hermite along each axis) interpolation, same arguments
+ * and grid layout as trilinearInterpolation
+ */
+export function tricubicInterpolation(x, y, z, flatValues, xq, yq, zq, sq) {
+  const nX = x.length;
+  const nY = y.length;
+  const offset = sq * nX * nY * z.length;
+
+  const wx = cubicAxisWeights(x, xq);
+  const wy = cubicAxisWeights(y, yq);
+  const wz = cubicAxisWeights(z, zq);
+
+  let value = 0;
+  for (const [k, weightZ] of wz) {
+    for (const [j, weightY] of wy) {
+      const weightYZ = weightY * weightZ;
+      const base = offset + j * nX + k * nX * nY;
+      for (const [i, weightX] of wx) {
+        value += weightX * weightYZ * flatValues[base + i];
+      }
+    }
+  }
+  return value;
+}
+
+/**
+ * Interpolate the grid with one of INTERPOLATION_METHODS
+ */
+export function interpolateGrid(method, x, y, z, flatValues, xq, yq, zq, sq) {
+  if (method === "tricubic") {
+    return tricubicInterpolation(x, y, z, flatValues, xq, yq, zq, sq);
+  }
+  if (method === "trilinear") {
+    return trilinearInterpolation(x, y, z, flatValues, xq, yq, zq, sq);
+  }
+  throw new RangeError(
+    `Unknown interpolation "${method}" (use ${INTERPOLATION_METHODS.join(" or ")})`
+  );
+}
+
+/**
+ * Z-score limit of the normal range (|z| <= 2). Results whose interpolation
+ * uncertainty spans -2 or +2 are flagged "uncertain_category".
+ */
+export const Z_SCORE_CATEGORY_LIMIT = 2;
+
+/**
+ * Lowest and highest Z-score of a measured value within a prediction's
+ * interpolation uncertainty (mean ± uncertainty.meanAAD, SD ±
+ * uncertainty.stdDev), as { low, high }
+ */
+export function zScoreRange(measuredValue, { meanAAD, stdDev, uncertainty }) {
+  const zScores = [];
+  for (const mean of [meanAAD - uncertainty.meanAAD, meanAAD + uncertainty.meanAAD]) {
+    for (const sd of [stdDev - uncertainty.stdDev, stdDev + uncertainty.stdDev]) {
+      zScores.push(calculateZScore(measuredValue, mean, sd));
+    }
+  }
+  return { low: Math.min(...zScores), high: Math.max(...zScores) };
+}
+
+/**
+ * -1 below the normal range, 0 within it, 1 above it
+ */
+function zScoreCategory(zScore) {
+  if (zScore < -Z_SCORE_CATEGORY_LIMIT) return -1;
+  if (zScore > Z_SCORE_CATEGORY_LIMIT) return 1;
+  return 0;
+}
+
+/**
+ * Calculate Z-score for a measured value
+ */
+export function calculateZScore(measuredValue, meanAAD, stdDev) {
+  return (measuredValue - meanAAD) / stdDev;
+}
+
+/**
+ * Inverse of calculateZScore: the AAD (mm) at a target Z-score
+ */
+export function calculateAADFromZScore(zScore, meanAAD, stdDev) {
+  return meanAAD + zScore * stdDev;
+}
+
+/**
+ * AAD (mm) at a target centile (0-100, exclusive)
+ */
+export function calculateAADFromCentile(centile, meanAAD, stdDev) {
+  return calculateAADFromZScore(normalQuantile(centile / 100), meanAAD, stdDev);
+}
+
+/**
+ * Z-scores shown in the results page lookup table
+ */
+export const Z_SCORE_TABLE = [-3, -2, -1, 0, 1, 2, 3];
+
+/**
+ * Weight-for-height outside this BMI range (kg/m²) is flagged as implausible.
+ * Wide enough for growth-restricted preterm newborns and severe obesity.
+ */
+export const PLAUSIBLE_BMI = { min: 7, max: 80 };
+
+/**
+ * Grid axis for each input, with the transform back to the input's units
+ */
+const GRID_AXES = [
+  { field: "weight", label: "Weight", unit: "kg", axis: "log_weight", toInput: Math.exp },
+  { field: "height", label: "Height", unit: "cm", axis: "sqrt_height", toInput: (v) => v * v },
+  { field: "age", label: "Age", unit: "years", axis: "log_age_plus_1", toInput: (v) => Math.exp(v) - 1 },
+];
+
+/**
+ * Flags for predictions that deserve less trust, as { code, field, message }:
+ * - "extrapolated": the input lies outside its grid axis, so findLowerIndex
+ *   clamps to the edge interval and the value is extrapolated linearly
+ * - "implausible_weight_for_height": each axis is covered by the grid, but
+ *   the combination (BMI outside PLAUSIBLE_BMI) is not backed by data
+ * (calculateResults adds "uncertain_category" for measured Z-scores)
+ * Inputs that are not numbers are skipped, so partial forms can be checked.
+ */
+export function predictionWarnings(gridAxes, age, weight, height) {
+  const warnings = [];
+  const transformed = transformInputs(age, weight, height);
+  const values = {
+    log_weight: transformed.logWeight,
+    sqrt_height: transformed.sqrtHeight,
+    log_age_plus_1: transformed.logAge,
+  };
+
+  for (const { field, label, unit, axis, toInput } of GRID_AXES) {
+    const value = values[axis];
+    const nodes = gridAxes[axis];
+    if (!Number.isFinite(value)) continue;
+
+    const first = nodes[0];
+    const last = nodes[nodes.length - 1];
+    if (value >= first && value <= last) continue;
+
+    const direction = value < first ? "below" : "above";
+    const edge = toInput(value < first ? first : last);
+    warnings.push({
+      code: "extrapolated",
+      field,
+      direction,
+      message: `${label} is ${direction} the model grid (${
+        direction === "below" ? "minimum" : "maximum"
+      } ${edge.toFixed(2)} ${unit}); the prediction is extrapolated`,
+    });
+  }
+
+  const bmi = weight / Math.pow(height / 100, 2);
+  if (
+    Number.isFinite(bmi) &&
+    (bmi < PLAUSIBLE_BMI.min || bmi > PLAUSIBLE_BMI.max)
+  ) {
+    warnings.push({
+      code: "implausible_weight_for_height",
+      field: "weight",
+      bmi,
+      message: `Weight-for-height is implausible (BMI ${bmi.toFixed(
+        1
+      )} kg/m²); the model has little or no data for this combination`,
+    });
+  }
+
+  return warnings;
+}
+
+/**
+ * True when running under Node (analysis pipelines) rather than a browser
+ */
+const isNode =
+  typeof process !== "undefined" && Boolean(process.versions?.node);
+
+/**
+ * Fetch the raw bytes of a grid (or manifest) from a URL, or read them from
+ * a file path under Node. The checksum in the manifest is over these bytes.
+ */
+export async function fetchLookupBytes(source = DEFAULT_LOOKUP_URL) {
+  const url = source instanceof URL ? source : null;
+
+  if (isNode && (url ? url.protocol === "file:" : !/^https?:/i.test(source))) {
+    const { readFile } = await import("node:fs/promises");
+    return new Uint8Array(await readFile(source));
+  }
+
+  const response = await fetch(source);
+  if (!response.ok) {
+    throw new Error(`Failed to load model: ${response.status}`);
+  }
+  return new Uint8Array(await response.arrayBuffer());
+}
+
+/**
+ * Fetch the lookup grid from a URL, or read it from a file path under Node
+ */
+export async function fetchLookupData(source = DEFAULT_LOOKUP_URL) {
+  return JSON.parse(new TextDecoder().decode(await fetchLookupBytes(source)));
+}
+
+/**
+ * Parse grid bytes in either format: binary (grid-binary.js) or JSON.
+ * Throws ModelIntegrityError when they can't be read.
+ */
+export function parseLookupBytes(bytes) {
+  try {
+    return isBinaryGrid(bytes)
+      ? decodeLookupGrid(bytes)
+      : JSON.parse(new TextDecoder().decode(bytes));
+  } catch (error) {
+    throw new ModelIntegrityError([
+      error instanceof SyntaxError
+        ? `Grid is not valid JSON (${error.message})`
+        : `Grid could not be read (${error.message})`,
+    ]);
+  }
+}
+
+/**
+ * Structural problems with a grid, as messages (empty when sound):
+ * dimensions must match the axis lengths, each predictions array must hold
+ * n_weight × n_height × n_age × n_sex finite values, and the axes must
+ * increase strictly (findLowerIndex relies on it)
+ */
+export function gridStructureFailures(lookupData) {
+  const { dimensions, grid_axes: axes, predictions } = lookupData ?? {};
+  if (!dimensions || !axes || !predictions) {
+    return ["Grid is missing dimensions, grid_axes or predictions"];
+  }
+
+  const failures = [];
+  const axisDimensions = [
+    ["log_weight", "n_weight"],
+    ["sqrt_height", "n_height"],
+    ["log_age_plus_1", "n_age"],
+  ];
+  // R exports scalars as one-element arrays
+  const size = (key) => Number([].concat(dimensions[key])[0]);
+
+  for (const [axis, key] of axisDimensions) {
+    const values = axes[axis];
+    if (!Array.isArray(values)) {
+      failures.push(`Axis ${axis} is missing`);
+      continue;
+    }
+    if (values.length !== size(key)) {
+      failures.push(
+        `Axis ${axis} has ${values.length} points but ${key} is ${size(key)}`
+      );
+    }
+    const increasing = values.every(
+      (value, i) => Number.isFinite(value) && (i === 0 || value > values[i - 1])
+    );
+    if (!increasing) {
+      failures.push(`Axis ${axis} is not strictly increasing`);
+    }
+  }
+
+  if (size("n_sex") !== 2) {
+    failures.push(`n_sex is ${size("n_sex")}, expected 2`);
+  }
+
+  const expectedLength =
+    size("n_weight") * size("n_height") * size("n_age") * size("n_sex");
+  for (const name of ["mean_aad", "std_dev"]) {
+    // Plain arrays from JSON, Float64Arrays from the binary grid
+    const values = predictions[name];
+    const isArray = Array.isArray(values) || ArrayBuffer.isView(values);
+    if (!isArray || values.length !== expectedLength) {
+      failures.push(
+        `predictions.${name} has ${values?.length ?? 0} values, expected ${expectedLength}`
+      );
+    } else if (!values.every(Number.isFinite)) {
+      failures.push(`predictions.${name} contains non-numeric values`);
+    }
+  }
+
+  return failures;
+}
+
+/**
+ * Test cases shipped in the grid (R outputs) that the interpolation no
+ * longer reproduces within TEST_CASE_TOLERANCE, as messages
+ */
+export function testCaseFailures(model) {
+  const testCases = model.lookupData.test_cases;
+  if (!Array.isArray(testCases) || testCases.length === 0) {
+    return ["Grid has no test cases to verify against"];
+  }
+
+  const failures = [];
+  for (const testCase of testCases) {
+    const { age, weight, height } = testCase;
+    const sex = testCase.sex === 0 ? "male" : "female";
+    let meanAAD, stdDev;
+    try {
+      ({ meanAAD, stdDev } = model.calculatePrediction(age, weight, height, sex));
+    } catch (error) {
+      failures.push(`Test case "${testCase.description}" failed: ${error.message}`);
+      continue;
+    }
+
+    if (
+      !(Math.abs(meanAAD - testCase.expected_aad) <= TEST_CASE_TOLERANCE) ||
+      !(Math.abs(stdDev - testCase.expected_sd) <= TEST_CASE_TOLERANCE)
+    ) {
+      failures.push(
+        `Test case "${testCase.description}" gives ${meanAAD.toFixed(3)} ± ${stdDev.toFixed(
+          3
+        )} mm, expected ${testCase.expected_aad} ± ${testCase.expected_sd}`
+      );
+    }
+  }
+  return failures;
+}
+
+/**
+ * Throw ModelIntegrityError unless the grid is structurally sound and
+ * reproduces its own test cases
+ */
+export function verifyLookupData(lookupData) {
+  const structural = gridStructureFailures(lookupData);
+  if (structural.length > 0) {
+    throw new ModelIntegrityError(structural);
+  }
+
+  const failures = testCaseFailures(new GroningenModel(lookupData));
+  if (failures.length > 0) {
+    throw new ModelIntegrityError(failures);
+  }
+}
+
+/**
+ * Groningen AAD model backed by the interpolation grid
+ */
+export class GroningenModel {
+  constructor(lookupData = null, { interpolation = "trilinear" } = {}) {
+    this.lookupData = lookupData;
+    // Set by loadModelVersion (model-registry.js) from the manifest entry
+    this.provenance = null;
+    // One of INTERPOLATION_METHODS, used by every prediction
+    this.interpolation = interpolation;
+  }
+
+  get isLoaded() {
+    return this.lookupData !== null;
+  }
+
+  /**
+   * Load the lookup grid from an object, a URL or (under Node) a file path,
+   * in JSON or binary format. Loads the bundled grid when no source is given.
+   * Throws ModelIntegrityError (leaving the model unloaded) for an
+   * unreadable or inconsistent grid, see verifyLookupData.
+   */
+  async load(source = DEFAULT_LOOKUP_URL) {
+    const isGridObject =
+      source !== null && typeof source === "object" && !(source instanceof URL);
+
+    const lookupData = isGridObject
+      ? source
+      : parseLookupBytes(await fetchLookupBytes(source));
+
+    verifyLookupData(lookupData);
+    this.lookupData = lookupData;
+    return this;
+  }
+
+  /**
+   * Predict mean AAD and SD with their interpolation uncertainty (mm, as
+   * uncertainty: { meanAAD, stdDev }) and any warnings (see predictionWarnings)
+   * Throws InvalidInputError for out-of-range input
+   */
+  calculatePrediction(age, weight, height, sex) {
+    if (!this.isLoaded) {
+      throw new ModelNotLoadedError();
+    }
+
+    const errors = validateInputs(age, weight, height, sex);
+    if (errors.length > 0) {
+      throw new InvalidInputError(errors);
+    }
+
+    const { logWeight, sqrtHeight, logAge } = transformInputs(
+      age,
+      weight,
+      height
+    );
+    const sexValue = sexIndex(sex);
+
+    const { log_weight, sqrt_height, log_age_plus_1 } =
+      this.lookupData.grid_axes;
+    const { mean_aad, std_dev } = this.lookupData.predictions;
+
+    const meanAAD = interpolateGrid(
+      this.interpolation,
+      log_weight,
+      sqrt_height,
+      log_age_plus_1,
+      mean_aad,
+      logWeight,
+      sqrtHeight,
+      logAge,
+      sexValue
+    );
+
+    const stdDev = interpolateGrid(
+      this.interpolation,
+      log_weight,
+      sqrt_height,
+      log_age_plus_1,
+      std_dev,
+      logWeight,
+      sqrtHeight,
+      logAge,
+      sexValue
+    );
+
+    // Local interpolation error, estimated as the disagreement between the
+    // trilinear and tricubic surfaces: they agree on grid points and where
+    // the GAM is nearly linear, and part where it curves between points
+    const query = [logWeight, sqrtHeight, logAge, sexValue];
+    const axes = [log_weight, sqrt_height, log_age_plus_1];
+    const other = this.interpolation === "tricubic" ? "trilinear" : "tricubic";
+    const uncertainty = {
+      meanAAD: Math.abs(interpolateGrid(other, ...axes, mean_aad, ...query) - meanAAD),
+      stdDev: Math.abs(interpolateGrid(other, ...axes, std_dev, ...query) - stdDev),
+    };
+
+    return {
+      meanAAD,
+      stdDev,
+      uncertainty,
+      lowerBound: meanAAD - 2 * stdDev,
+      upperBound: meanAAD + 2 * stdDev,
+      warnings: predictionWarnings(
+        this.lookupData.grid_axes,
+        age,
+        weight,
+        height
+      ),
+    };
+  }
+
+  /**
+   * Calculate complete results including Z-score if measured value provided.
+   * Adds the centile and two-sided p-value of the Z-score (null without a
+   * measurement) and the reference interval between two centiles
+   * (options.referenceInterval, default 2.5th-97.5th).
+   * zScoreUncertainty is the largest change of the Z-score within the
+   * interpolation uncertainty; when that could move it across ±2, an
+   * "uncertain_category" warning is added.
+   */
+  calculateResults(
+    age,
+    weight,
+    height,
+    sex,
+    measuredAAD = null,
+    { referenceInterval = DEFAULT_REFERENCE_INTERVAL } = {}
+  ) {
+    const prediction = this.calculatePrediction(age, weight, height, sex);
+    const zScore =
+      measuredAAD && measuredAAD > 0
+        ? calculateZScore(measuredAAD, prediction.meanAAD, prediction.stdDev)
+        : null;
+
+    let zScoreUncertainty = null;
+    const warnings = [...prediction.warnings];
+    if (zScore !== null) {
+      const { low, high } = zScoreRange(measuredAAD, prediction);
+      zScoreUncertainty = Math.max(high - zScore, zScore - low);
+      if (zScoreCategory(low) !== zScoreCategory(high)) {
+        warnings.push({
+          code: "uncertain_category",
+          field: "aad",
+          low,
+          high,
+          message: `Z-score ${zScore.toFixed(2)} could be ${low.toFixed(
+            2
+          )} to ${high.toFixed(
+            2
+          )} within the interpolation uncertainty, either side of ±${Z_SCORE_CATEGORY_LIMIT}`,
+        });
+      }
+    }
+
+    return {
+      ...prediction,
+      warnings,
+      zScore,
+      zScoreUncertainty,
+      percentile: zScore === null ? null : zScoreToPercentile(zScore),
+      pValue: zScore === null ? null : twoSidedPValue(zScore),
+      referenceInterval: referenceIntervalBounds(
+        prediction.meanAAD,
+        prediction.stdDev,
+        referenceInterval
+      ),
+    };
+  }
+
+  /**
+   * Object-style prediction for scripts: predict({ age, weight, height, sex })
+   * Age in years, weight in kg, height in cm, sex "male" or "female"
+   */
+  predict({ age, weight, height, sex }) {
+    return this.calculatePrediction(age, weight, height, sex);
+  }
+
+  /**
+   * Z-score of a measured AAD (mm): zScore({ age, weight, height, sex, aad })
+   */
+  zScore({ age, weight, height, sex, aad }) {
+    if (!(Number.isFinite(aad) && aad > 0)) {
+      throw new InvalidInputError(["Measured AAD must be a positive number"]);
+    }
+    const { meanAAD, stdDev } = this.calculatePrediction(
+      age,
+      weight,
+      height,
+      sex
+    );
+    return calculateZScore(aad, meanAAD, stdDev);
+  }
+
+  /**
+   * AAD (mm) at a target Z-score: aadForZScore({ age, weight, height, sex, zScore })
+   */
+  aadForZScore({ age, weight, height, sex, zScore }) {
+    if (!Number.isFinite(zScore)) {
+      throw new InvalidInputError(["Z-score must be a number"]);
+    }
+    const { meanAAD, stdDev } = this.calculatePrediction(
+      age,
+      weight,
+      height,
+      sex
+    );
+    return calculateAADFromZScore(zScore, meanAAD, stdDev);
+  }
+
+  /**
+   * AAD (mm) at a target centile: aadForCentile({ age, weight, height, sex, centile })
+   */
+  aadForCentile({ age, weight, height, sex, centile }) {
+    if (!(centile > 0 && centile < 100)) {
+      throw new InvalidInputError(["Centile must be between 0 and 100"]);
+    }
+    const { meanAAD, stdDev } = this.calculatePrediction(
+      age,
+      weight,
+      height,
+      sex
+    );
+    return calculateAADFromCentile(centile, meanAAD, stdDev);
+  }
+
+  /**
+   * AAD at each target Z-score for one patient, as [{ zScore, centile, aad }]
+   */
+  zScoreTable({ age, weight, height, sex }, zScores = Z_SCORE_TABLE) {
+    const { meanAAD, stdDev } = this.calculatePrediction(
+      age,
+      weight,
+      height,
+      sex
+    );
+    return zScores.map((zScore) => ({
+      zScore,
+      centile: zScoreToPercentile(zScore),
+      aad: calculateAADFromZScore(zScore, meanAAD, stdDev),
+    }));
+  }
+}
+
+/**
+ * Create a loaded model in one step, e.g. for Node scripts:
+ *   const model = await createModel();
+ * Without a source the grid shipped with this package is used. A string
+ * path is read relative to the working directory, so build paths to other
+ * grids with new URL(file, import.meta.url).
+ * options.interpolation picks one of INTERPOLATION_METHODS.
+ */
+export async function createModel(source = DEFAULT_LOOKUP_URL, options = {}) {
+  return new GroningenModel(null, options).load(source);
+}
@@ -0,0 +1,270 @@
+// growth-chart.js - Expected AAD across age as an offline SVG chart
+// The series sweeps the grid's log_age_plus_1 axis through the shared engine;
+// body size at each age comes from bodySizeTrajectory (anthropometry.js)
+
+import { MODEL_RANGES, InvalidInputError } from "./groningen-model.js";
+import { bodySizeTrajectory } from "./anthropometry.js";
+
+const SVG_NS = "http://www.w3.org/2000/svg";
+
+/**
+ * Ages (years) to evaluate: each log_age_plus_1 grid interval split into
+ * `stepsPerInterval` steps, up to maxAge, plus any extra ages (e.g. the
+ * patient's own age so the chart passes through the reported values)
+ */
+export function sweepAges(logAgeAxis, maxAge, stepsPerInterval = 4, extraAges = []) {
+  const ages = [];
+
+  for (let i = 0; i < logAgeAxis.length - 1; i++) {
+    for (let step = 0; step < stepsPerInterval; step++) {
+      const logAge =
+        logAgeAxis[i] +
+        ((logAgeAxis[i + 1] - logAgeAxis[i]) * step) / stepsPerInterval;
+      ages.push(Math.exp(logAge) - 1);
+    }
+  }
+  ages.push(maxAge, ...extraAges);
+
+  return [...new Set(ages.filter((age) => age >= 0 && age <= maxAge))].sort(
+    (a, b) => a - b
+  );
+}
+
+/**
+ * Mean AAD and SD over age for one patient
+ * patient: { age, weight, height, sex }; options.trajectory adds earlier or
+ * later measurements ([{ age, weight, height }]) to follow instead of the
+ * typical growth curve. Ages where the body size leaves the model's input
+ * ranges are skipped.
+ * Returns [{ age, weight, height, meanAAD, stdDev }]
+ */
+export function computeGrowthSeries(
+  model,
+  patient,
+  { maxAge = MODEL_RANGES.age.max, trajectory = [], stepsPerInterval = 4 } = {}
+) {
+  const { age, weight, height, sex } = patient;
+  const bodySizeAt = bodySizeTrajectory(sex, [
+    { age, weight, height },
+    ...trajectory,
+  ]);
+  const ages = sweepAges(
+    model.lookupData.grid_axes.log_age_plus_1,
+    maxAge,
+    stepsPerInterval,
+    [age, ...trajectory.map((point) => point.age)]
+  );
+
+  const series = [];
+  for (const pointAge of ages) {
+    const size = bodySizeAt(pointAge);
+    try {
+      const { meanAAD, stdDev } = model.predict({ age: pointAge, ...size, sex });
+      series.push({ age: pointAge, ...size, meanAAD, stdDev });
+    } catch (error) {
+      if (!(error instanceof InvalidInputError)) throw error;
+    }
+  }
+
+  return series;
+}
+
+/**
+ * Age tick positions (years) and labels
+ */
+const AGE_TICKS = [
+  [0, "0"],
+  [0.25, "3m"],
+  [0.5, "6m"],
+  [1, "1y"],
+  [2, "2y"],
+  [5, "5y"],
+  [10, "10y"],
+  [18, "18y"],
+  [30, "30y"],
+  [59, "59y"],
+];
+
+/**
+ * Chart geometry: viewBox size, plot area and the age/mm → x/y mappings.
+ * Age uses the model's log(age + 1) scale so infancy gets room.
+ */
+export function chartLayout(series, { maxAge, measuredAAD = null } = {}) {
+  const width = 640;
+  const height = 360;
+  const margin = { top: 16, right: 16, bottom: 40, left: 48 };
+  const plot = {
+    left: margin.left,
+    right: width - margin.right,
+    top: margin.top,
+    bottom: height - margin.bottom,
+  };
+
+  const lowest = Math.min(...series.map((p) => p.meanAAD - 3 * p.stdDev));
+  const highest = Math.max(
+    ...series.map((p) => p.meanAAD + 3 * p.stdDev),
+    measuredAAD ?? -Infinity
+  );
+  const yMin = Math.max(0, Math.floor(lowest / 5) * 5);
+  const yMax = Math.ceil(highest / 5) * 5;
+  const ageMax = maxAge ?? series[series.length - 1].age;
+
+  return {
+    width,
+    height,
+    plot,
+    yMin,
+    yMax,
+    maxAge: ageMax,
+    x: (age) =>
+      plot.left +
+      (Math.log(age + 1) / Math.log(ageMax + 1)) * (plot.right - plot.left),
+    y: (mm) =>
+      plot.bottom - ((mm - yMin) / (yMax - yMin)) * (plot.bottom - plot.top),
+  };
+}
+
+/**
+ * Layout for growthChartSvg options, leaving room for every measurement
+ */
+function layoutFor(series, { measuredAAD = null, maxAge, measurements = [] }) {
+  return chartLayout(series, {
+    maxAge,
+    measuredAAD: Math.max(measuredAAD ?? 0, ...measurements.map((m) => m.aad)),
+  });
+}
+
+/**
+ * SVG markup for the chart: ±1/±2/±3 SD bands, the mean curve, the
+ * patient's age and (when measured) the patient's AAD as a point.
+ * `measurements` ([{ age, aad }]) adds earlier visits as joined points.
+ */
+export function growthChartSvg(
+  series,
+  { patient, measuredAAD = null, maxAge, measurements = [] } = {}
+) {
+  const layout = layoutFor(series, { measuredAAD, maxAge, measurements });
+  const { width, height, plot, x, y, yMin, yMax } = layout;
+  const f = (value) => value.toFixed(1);
+
+  const line = (valueAt) =>
+    series.map((p) => `${f(x(p.age))},${f(y(valueAt(p)))}`).join(" ");
+
+  const band = (k) => {
+    const upper = series.map((p) => `${f(x(p.age))},${f(y(p.meanAAD + k * p.stdDev))}`);
+    const lower = series
+      .map((p) => `${f(x(p.age))},${f(y(p.meanAAD - k * p.stdDev))}`)
+      .reverse();
+    return `<polygon class="chart-band chart-band-${k}" points="${[...upper, ...lower].join(" ")}" />`;
+  };
+
+  const yTicks = [];
+  for (let mm = yMin; mm <= yMax; mm += 5) {
+    yTicks.push(
+      `<line class="chart-grid" x1="${plot.left}" x2="${plot.right}" y1="${f(y(mm))}" y2="${f(y(mm))}" />`,
+      `<text class="chart-tick" x="${plot.left - 6}" y="${f(y(mm))}" text-anchor="end" dominant-baseline="middle">${mm}</text>`
+    );
+  }
+
+  const xTicks = AGE_TICKS.filter(([age]) => age <= layout.maxAge).map(
+    ([age, label]) =>
+      `<line class="chart-grid" x1="${f(x(age))}" x2="${f(x(age))}" y1="${plot.top}" y2="${plot.bottom}" />` +
+      `<text class="chart-tick" x="${f(x(age))}" y="${plot.bottom + 16}" text-anchor="middle">${label}</text>`
+  );
+
+  const markers = [];
+  const visits = measurements.filter((m) => m.age <= layout.maxAge);
+  if (visits.length > 0) {
+    markers.push(
+      `<polyline class="chart-visits" points="${visits
+        .map((m) => `${f(x(m.age))},${f(y(m.aad))}`)
+        .join(" ")}" />`,
+      ...visits.map(
+        (m) =>
+          `<circle class="chart-visit" cx="${f(x(m.age))}" cy="${f(y(m.aad))}" r="4"><title>${m.aad} mm at ${m.age.toFixed(1)} years</title></circle>`
+      )
+    );
+  }
+  if (patient && patient.age <= layout.maxAge) {
+    markers.push(
+      `<line class="chart-patient-age" x1="${f(x(patient.age))}" x2="${f(x(patient.age))}" y1="${plot.top}" y2="${plot.bottom}" />`
+    );
+    if (measuredAAD) {
+      markers.push(
+        `<circle class="chart-patient" cx="${f(x(patient.age))}" cy="${f(y(measuredAAD))}" r="5"><title>Measured AAD ${measuredAAD} mm</title></circle>`
+      );
+    }
+  }
+
+  return `<svg xmlns="${SVG_NS}" viewBox="0 0 ${width} ${height}" class="growth-chart" role="img" aria-labelledby="growthChartTitle">
+  <title id="growthChartTitle">Expected aortic annulus diameter by age with ±1, ±2 and ±3 SD bands${
+    measuredAAD ? " and the measured value" : ""
+  }</title>
+  ${yTicks.join("\n  ")}
+  ${xTicks.join("\n  ")}
+  ${band(3)}
+  ${band(2)}
+  ${band(1)}
+  <polyline class="chart-mean" points="${line((p) => p.meanAAD)}" />
+  ${markers.join("\n  ")}
+  <text class="chart-axis-label" x="${(plot.left + plot.right) / 2}" y="${height - 4}" text-anchor="middle">Age</text>
+  <text class="chart-axis-label" x="12" y="${(plot.top + plot.bottom) / 2}" text-anchor="middle" transform="rotate(-90 12 ${(plot.top + plot.bottom) / 2})">AAD (mm)</text>
+  <line class="chart-guide" x1="0" x2="0" y1="${plot.top}" y2="${plot.bottom}" visibility="hidden" />
+  <text class="chart-readout" x="${plot.left + 8}" y="${plot.top + 14}"></text>
+  <rect class="chart-hit" x="${plot.left}" y="${plot.top}" width="${plot.right - plot.left}" height="${plot.bottom - plot.top}" fill="transparent" />
+</svg>`;
+}
+
+/**
+ * Format an age in years for the hover readout
+ */
+function formatAge(age) {
+  if (age < 1) return `${(age * 12).toFixed(1)} months`;
+  return `${age.toFixed(1)} years`;
+}
+
+/**
+ * Draw the chart into a container and show mean ± SD under the pointer
+ */
+export function renderGrowthChart(container, series, options = {}) {
+  if (series.length < 2) {
+    container.textContent = "Not enough data to draw a chart for these inputs.";
+    return;
+  }
+
+  container.innerHTML = growthChartSvg(series, options);
+
+  const layout = layoutFor(series, options);
+  const svg = container.querySelector("svg");
+  const guide = svg.querySelector(".chart-guide");
+  const readout = svg.querySelector(".chart-readout");
+
+  svg.querySelector(".chart-hit").addEventListener("pointermove", (event) => {
+    const point = svg.createSVGPoint();
+    point.x = event.clientX;
+    point.y = event.clientY;
+    const { x: svgX } = point.matrixTransform(svg.getScreenCTM().inverse());
+
+    // Nearest series point by x position
+    const nearest = series.reduce((best, p) =>
+      Math.abs(layout.x(p.age) - svgX) < Math.abs(layout.x(best.age) - svgX)
+        ? p
+        : best
+    );
+
+    const guideX = layout.x(nearest.age).toFixed(1);
+    guide.setAttribute("x1", guideX);
+    guide.setAttribute("x2", guideX);
+    guide.setAttribute("visibility", "visible");
+    readout.textContent = `${formatAge(nearest.age)}: ${nearest.meanAAD.toFixed(
+      1
+    )} ± ${nearest.stdDev.toFixed(1)} mm (${nearest.height.toFixed(
+      0
+    )} cm, ${nearest.weight.toFixed(1)} kg)`;
+  });
+
+  svg.querySelector(".chart-hit").addEventListener("pointerleave", () => {
+    guide.setAttribute("visibility", "hidden");
+    readout.textContent = "";
+  });
+}
@@ -0,0 +1,320 @@
+// history-store.js - Opt-in calculation history kept in this browser only
+// Entries live in IndexedDB and never leave the device. With a passphrase
+// they are encrypted (PBKDF2 → AES-GCM, WebCrypto); the key is held in memory
+// only and is gone when the page closes.
+
+export const HISTORY_ENABLED_KEY = "groningen-aov-history-enabled";
+
+const DB_NAME = "groningen-aov-history";
+const DB_VERSION = 1;
+const ENTRIES = "entries";
+const META = "meta";
+
+export const PBKDF2_ITERATIONS = 310000;
+
+// Encrypted with the derived key to tell a wrong passphrase from a right one
+const KEY_CHECK = "groningen-aov-history";
+
+/**
+ * Thrown when encrypted history is used without the right passphrase
+ */
+export class HistoryLockedError extends Error {
+  constructor(message = "History is locked. Enter the passphrase to continue.") {
+    super(message);
+    this.name = "HistoryLockedError";
+  }
+}
+
+/**
+ * Derive an AES-GCM key from a passphrase and salt (PBKDF2-SHA-256)
+ */
+export async function deriveKey(passphrase, salt, iterations = PBKDF2_ITERATIONS) {
+  const material = await crypto.subtle.importKey(
+    "raw",
+    new TextEncoder().encode(passphrase),
+    "PBKDF2",
+    false,
+    ["deriveKey"]
+  );
+
+  return crypto.subtle.deriveKey(
+    { name: "PBKDF2", salt, iterations, hash: "SHA-256" },
+    material,
+    { name: "AES-GCM", length: 256 },
+    false,
+    ["encrypt", "decrypt"]
+  );
+}
+
+/**
+ * Encrypt a JSON-serialisable value. Returns { iv, data } (Uint8Arrays)
+ */
+export async function encryptJson(key, value) {
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const data = await crypto.subtle.encrypt(
+    { name: "AES-GCM", iv },
+    key,
+    new TextEncoder().encode(JSON.stringify(value))
+  );
+  return { iv, data: new Uint8Array(data) };
+}
+
+/**
+ * Decrypt the output of encryptJson
+ * Throws HistoryLockedError when the key doesn't match
+ */
+export async function decryptJson(key, { iv, data }) {
+  let plain;
+  try {
+    plain = await crypto.subtle.decrypt({ name: "AES-GCM", iv }, key, data);
+  } catch {
+    throw new HistoryLockedError("Incorrect passphrase");
+  }
+  return JSON.parse(new TextDecoder().decode(plain));
+}
+
+/**
+ * Whether an entry matches a search: every word must appear in its label,
+ * date or age, or be its sex (case-insensitive). Sex is compared whole, so
+ * "male" doesn't find female entries.
+ */
+export function matchesSearch(entry, query) {
+  const words = query.toLowerCase().split(/\s+/).filter(Boolean);
+  const { summary = {} } = entry;
+  const sex = summary.sex?.toLowerCase();
+  const text = [
+    entry.label,
+    entry.createdAt,
+    new Date(entry.createdAt).toLocaleDateString(),
+    summary.age,
+  ]
+    .filter((part) => part !== undefined && part !== null)
+    .join(" ")
+    .toLowerCase();
+
+  return words.every((word) => word === sex || text.includes(word));
+}
+
+/**
+ * Results page query string as saved in the history: an age entered as
+ * dates is stored as the age in years it gave, without the date of birth
+ * or exam date, so entries don't hold the patient's birth date
+ */
+export function historyParams(params, age) {
+  const values = new URLSearchParams(params);
+  if (values.get("ageMode") === "dates") {
+    values.delete("dob");
+    values.delete("examDate");
+    values.delete("ga");
+    values.set("ageMode", "age");
+    values.set("age", String(Number(age.toFixed(4))));
+    values.set("ageUnit", "years");
+  }
+  return values.toString();
+}
+
+/**
+ * Promise for an IndexedDB request
+ */
+function requestResult(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Promise that settles when a transaction finishes
+ */
+function transactionDone(transaction) {
+  return new Promise((resolve, reject) => {
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+}
+
+/**
+ * Calculation history for the results and history pages
+ * Entries: { id, label, createdAt, params, summary } where params is the
+ * results page query string and summary holds values for the list view.
+ */
+export class HistoryStore {
+  constructor() {
+    this.db = null;
+    this.key = null;
+  }
+
+  /**
+   * History is off until the user turns it on
+   */
+  static isEnabled() {
+    return localStorage.getItem(HISTORY_ENABLED_KEY) === "true";
+  }
+
+  static enable() {
+    localStorage.setItem(HISTORY_ENABLED_KEY, "true");
+  }
+
+  /**
+   * Delete every entry, the encryption settings and the opt-in flag
+   */
+  static async wipe(store = null) {
+    store?.close();
+    localStorage.removeItem(HISTORY_ENABLED_KEY);
+    const request = indexedDB.deleteDatabase(DB_NAME);
+    await new Promise((resolve, reject) => {
+      request.onsuccess = () => resolve();
+      request.onerror = () => reject(request.error);
+      // Another tab still has the database open; the deletion goes ahead
+      // once it's closed
+      request.onblocked = () =>
+        reject(
+          new Error(
+            "History is open in another tab. Close the calculator's other tabs to finish deleting it."
+          )
+        );
+    });
+  }
+
+  async open() {
+    if (this.db) return this.db;
+
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      db.createObjectStore(ENTRIES, { keyPath: "id", autoIncrement: true });
+      db.createObjectStore(META, { keyPath: "name" });
+    };
+    this.db = await requestResult(request);
+    // Let a wipe from another tab go ahead
+    this.db.onversionchange = () => this.close();
+    return this.db;
+  }
+
+  close() {
+    this.db?.close();
+    this.db = null;
+    this.key = null;
+  }
+
+  async encryptionSettings() {
+    const db = await this.open();
+    return requestResult(
+      db.transaction(META).objectStore(META).get("encryption")
+    );
+  }
+
+  async isEncrypted() {
+    return Boolean(await this.encryptionSettings());
+  }
+
+  get isUnlocked() {
+    return this.key !== null;
+  }
+
+  /**
+   * Unlock encrypted history for this page. Throws HistoryLockedError for a
+   * wrong passphrase.
+   */
+  async unlock(passphrase) {
+    const settings = await this.encryptionSettings();
+    if (!settings) return;
+
+    const key = await deriveKey(passphrase, settings.salt, settings.iterations);
+    if ((await decryptJson(key, settings.check)) !== KEY_CHECK) {
+      throw new HistoryLockedError("Incorrect passphrase");
+    }
+    this.key = key;
+  }
+
+  lock() {
+    this.key = null;
+  }
+
+  /**
+   * Protect the history with a passphrase, encrypting existing entries
+   */
+  async enableEncryption(passphrase) {
+    if (await this.isEncrypted()) {
+      throw new Error("History is already encrypted");
+    }
+
+    const entries = await this.list();
+    const salt = crypto.getRandomValues(new Uint8Array(16));
+    const key = await deriveKey(passphrase, salt);
+    const check = await encryptJson(key, KEY_CHECK);
+    const records = await Promise.all(
+      entries.map(async (entry) => ({
+        id: entry.id,
+        encrypted: await encryptJson(key, { ...entry, id: undefined }),
+      }))
+    );
+
+    const db = await this.open();
+    const transaction = db.transaction([ENTRIES, META], "readwrite");
+    const done = transactionDone(transaction);
+    transaction.objectStore(META).put({
+      name: "encryption",
+      salt,
+      iterations: PBKDF2_ITERATIONS,
+      check,
+    });
+    for (const record of records) {
+      transaction.objectStore(ENTRIES).put(record);
+    }
+    await done;
+
+    this.key = key;
+  }
+
+  async requireKey() {
+    if ((await this.isEncrypted()) && !this.key) {
+      throw new HistoryLockedError();
+    }
+  }
+
+  /**
+   * Save an entry ({ label, params, summary }); returns its id
+   */
+  async add({ label = "", params, summary = {} }) {
+    await this.requireKey();
+    const entry = { label, params, summary, createdAt: new Date().toISOString() };
+    // Encrypt before the transaction opens: it would commit while waiting
+    const record = this.key ? { encrypted: await encryptJson(this.key, entry) } : entry;
+
+    const db = await this.open();
+    const transaction = db.transaction(ENTRIES, "readwrite");
+    const done = transactionDone(transaction);
+    const id = await requestResult(transaction.objectStore(ENTRIES).add(record));
+    await done;
+    return id;
+  }
+
+  async decode(record) {
+    if (!record.encrypted) return record;
+    return { ...(await decryptJson(this.key, record.encrypted)), id: record.id };
+  }
+
+  /**
+   * Every entry, newest first, optionally filtered by a search query
+   */
+  async list(query = "") {
+    await this.requireKey();
+    const db = await this.open();
+    const records = await requestResult(
+      db.transaction(ENTRIES).objectStore(ENTRIES).getAll()
+    );
+
+    const entries = (await Promise.all(records.map((r) => this.decode(r)))).sort((a, b) => b.id - a.id);
+    return query ? entries.filter((entry) => matchesSearch(entry, query)) : entries;
+  }
+
+  async remove(id) {
+    const db = await this.open();
+    const transaction = db.transaction(ENTRIES, "readwrite");
+    const done = transactionDone(transaction);
+    transaction.objectStore(ENTRIES).delete(id);
+    await done;
+  }
+}
@@ -0,0 +1,169 @@
+// model-registry.js - Versions of the lookup grid and their provenance
+// data/models.json lists every grid the app can load with its checksum,
+// creation date and source, so exports name the exact grid that produced them.
+// Users can pin a version; otherwise the manifest's default is used.
+
+import {
+  GroningenModel,
+  ModelIntegrityError,
+  fetchLookupBytes,
+  fetchLookupData,
+  parseLookupBytes,
+} from "./groningen-model.js";
+
+/**
+ * Location of the model manifest, relative to this module
+ */
+export const MANIFEST_URL = new URL("../data/models.json", import.meta.url);
+
+/**
+ * localStorage key holding the pinned grid version (absent = default)
+ */
+export const MODEL_VERSION_KEY = "groningen-aov-model-version";
+
+/**
+ * Load the manifest: { default, versions: [{ version, file, sha256,
+ * created_date, source, max_z_error, binary: { file, sha256 } }] }, with
+ * files relative to the manifest; binary (grid-binary.js) is optional
+ */
+export async function fetchManifest(source = MANIFEST_URL) {
+  return fetchLookupData(source);
+}
+
+/**
+ * Manifest entry for a version, or the default entry when version is null.
+ * Throws RangeError for a version the manifest doesn't list.
+ */
+export function findModelVersion(manifest, version = null) {
+  const wanted = version ?? manifest.default;
+  const entry = manifest.versions.find((v) => v.version === wanted);
+  if (!entry) {
+    throw new RangeError(
+      `Unknown model version "${wanted}" (available: ${manifest.versions
+        .map((v) => v.version)
+        .join(", ")})`
+    );
+  }
+  return entry;
+}
+
+/**
+ * The pinned version, or null to follow the manifest default
+ * (always null outside the browser)
+ */
+export function pinnedModelVersion() {
+  if (typeof localStorage === "undefined") return null;
+  return localStorage.getItem(MODEL_VERSION_KEY);
+}
+
+/**
+ * Pin a grid version for every page on this device; null unpins
+ */
+export function pinModelVersion(version) {
+  if (version) {
+    localStorage.setItem(MODEL_VERSION_KEY, version);
+  } else {
+    localStorage.removeItem(MODEL_VERSION_KEY);
+  }
+}
+
+/**
+ * Lower-case hex SHA-256 of some bytes (WebCrypto, so HTTPS or localhost
+ * in browsers; node:crypto under Node 18, which has no global WebCrypto)
+ */
+export async function sha256Hex(bytes) {
+  if (!globalThis.crypto?.subtle) {
+    if (typeof process !== "undefined" && process.versions?.node) {
+      const { createHash } = await import("node:crypto");
+      return createHash("sha256").update(bytes).digest("hex");
+    }
+    throw new ModelIntegrityError([
+      "SHA-256 is unavailable, so the grid can't be verified (open the app over HTTPS)",
+    ]);
+  }
+  const digest = await crypto.subtle.digest("SHA-256", bytes);
+  return Array.from(new Uint8Array(digest), (byte) =>
+    byte.toString(16).padStart(2, "0")
+  ).join("");
+}
+
+/**
+ * Fetch one grid file of a manifest entry, check it against its checksum
+ * and load it into a new GroningenModel
+ */
+async function loadVerifiedGrid(entry, { file, sha256 }, manifestSource) {
+  const bytes = await fetchLookupBytes(new URL(file, manifestSource));
+  const actual = await sha256Hex(bytes);
+  if (actual !== sha256) {
+    throw new ModelIntegrityError([
+      `${file} does not match the checksum of grid ${entry.version} in the manifest (sha256 ${actual.slice(
+        0,
+        12
+      )}, expected ${sha256.slice(0, 12)}); it may be truncated or from another deploy`,
+    ]);
+  }
+
+  return new GroningenModel().load(parseLookupBytes(bytes));
+}
+
+/**
+ * Load a grid version (pinned or default) into a new GroningenModel whose
+ * provenance is { version, sha256, createdDate, source, maxZError, format }.
+ * The entry's compact binary grid is preferred; when it is missing or fails
+ * its checks, the JSON grid is loaded instead. Throws ModelIntegrityError
+ * when the JSON grid's checksum differs from the manifest or the grid fails
+ * verifyLookupData.
+ */
+export async function loadModelVersion(
+  version = pinnedModelVersion(),
+  manifestSource = MANIFEST_URL
+) {
+  const manifest = await fetchManifest(manifestSource);
+  const entry = findModelVersion(manifest, version);
+
+  let model = null;
+  let format = "binary";
+  if (entry.binary) {
+    try {
+      model = await loadVerifiedGrid(entry, entry.binary, manifestSource);
+    } catch (error) {
+      console.warn(`Binary grid unavailable, loading ${entry.file}:`, error.message);
+    }
+  }
+  if (!model) {
+    model = await loadVerifiedGrid(entry, entry, manifestSource);
+    format = "json";
+  }
+
+  // The JSON checksum identifies the grid whichever file was loaded
+  model.provenance = {
+    version: entry.version,
+    sha256: entry.sha256,
+    createdDate: entry.created_date,
+    source: entry.source,
+    maxZError: entry.max_z_error,
+    format,
+  };
+  return model;
+}
+
+/**
+ * Short label for page text, e.g. "2025-08-04 (sha256 3357cbff438b)"
+ */
+export function formatModelVersion(provenance) {
+  return `${provenance.version} (sha256 ${provenance.sha256.slice(0, 12)})`;
+}
+
+/**
+ * Full provenance line for copied results, with the whole checksum
+ */
+export function modelVersionLine(provenance) {
+  return `Model: grid ${provenance.version}, created ${provenance.createdDate}, sha256 ${provenance.sha256}`;
+}
+
+/**
+ * Citation header line for CSV exports
+ */
+export function modelVersionNote(provenance) {
+  return `# ${modelVersionLine(provenance)}`;
+}
@@ -0,0 +1,120 @@
+// reference-models.js - Other published aortic annulus Z-score equations
+// For side-by-side comparison with the Groningen model on the results page
+// and in batch exports. These are BSA-based regressions, unlike the
+// Groningen model, and only cover the populations they were fitted on.
+
+import { bodySurfaceArea } from "./bsa.js";
+
+/**
+ * Registered reference models by id. Each definition:
+ *   id, label, citation, population  - identification for tables and exports
+ *   bsaFormula                       - BSA formula the equation was fitted with
+ *   maxAge                           - oldest age in the study population (years)
+ *   predict({ age, weight, height, sex, bsa }) → { scale, unit, mean, sd }
+ *     scale "log": mean and sd of ln(diameter); "linear": of the diameter
+ *     unit "cm" or "mm": unit of the diameter in the equation
+ *   predict may be null to list a model whose equation isn't available
+ */
+export const REFERENCE_MODELS = {};
+
+/**
+ * Add a model to REFERENCE_MODELS (see above for the definition shape)
+ */
+export function registerReferenceModel(definition) {
+  const { id, label, citation, predict } = definition;
+  if (!id || !label || !citation) {
+    throw new Error("A reference model needs an id, label and citation");
+  }
+  if (predict !== null && typeof predict !== "function") {
+    throw new Error(`Reference model "${id}" needs a predict function or null`);
+  }
+
+  REFERENCE_MODELS[id] = definition;
+  return definition;
+}
+
+registerReferenceModel({
+  id: "pettersen",
+  label: "Pettersen (Detroit)",
+  citation: "Pettersen MD, et al. J Am Soc Echocardiogr 2008",
+  population: "Healthy children, 0-18 years",
+  bsaFormula: "haycock",
+  maxAge: 18,
+  // Aortic valve annulus: ln(cm) = cubic polynomial in BSA, MSE 0.010
+  predict: ({ bsa }) => ({
+    scale: "log",
+    unit: "cm",
+    mean: -0.874 + 2.708 * bsa - 1.841 * bsa ** 2 + 0.452 * bsa ** 3,
+    sd: Math.sqrt(0.01),
+  }),
+});
+
+/**
+ * Ids of the reference models that have an equation
+ */
+export function availableReferenceModels() {
+  return Object.values(REFERENCE_MODELS)
+    .filter((definition) => definition.predict)
+    .map((definition) => definition.id);
+}
+
+/**
+ * Expected AAD (mm) and, with a measured AAD, the Z-score from one model.
+ * patient: { age, weight, height, sex, aad }
+ * Returns { id, label, available, bsa, expectedAAD, zScore,
+ * outsidePopulation, note }; expectedAAD is the median for log-scale models.
+ */
+export function referenceModelResult(id, patient) {
+  const definition = REFERENCE_MODELS[id];
+  if (!definition) {
+    throw new RangeError(`Unknown reference model "${id}"`);
+  }
+
+  const { label } = definition;
+  if (!definition.predict) {
+    return {
+      id,
+      label,
+      available: false,
+      bsa: null,
+      expectedAAD: null,
+      zScore: null,
+      outsidePopulation: false,
+      note: "No equation available",
+    };
+  }
+
+  const { age, weight, height, aad = null } = patient;
+  const bsa = bodySurfaceArea(weight, height, definition.bsaFormula);
+  const { scale, unit, mean, sd } = definition.predict({ ...patient, bsa });
+  const mmPerUnit = unit === "cm" ? 10 : 1;
+
+  const expectedAAD = (scale === "log" ? Math.exp(mean) : mean) * mmPerUnit;
+  let zScore = null;
+  if (aad) {
+    const measured = aad / mmPerUnit;
+    zScore = ((scale === "log" ? Math.log(measured) : measured) - mean) / sd;
+  }
+
+  const outsidePopulation = age > definition.maxAge;
+
+  return {
+    id,
+    label,
+    available: true,
+    bsa,
+    expectedAAD,
+    zScore,
+    outsidePopulation,
+    note: outsidePopulation
+      ? `Outside the study population (${definition.population})`
+      : "",
+  };
+}
+
+/**
+ * Results from several reference models (all registered ones by default)
+ */
+export function compareReferenceModels(patient, ids = Object.keys(REFERENCE_MODELS)) {
+  return ids.map((id) => referenceModelResult(id, patient));
+}
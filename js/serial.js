@@ -0,0 +1,212 @@
+// serial.js - Serial measurements for one patient followed over several visits
+// Every visit goes through the shared engine's calculateResults; nothing
+// leaves the device
+
+import { InvalidInputError } from "./groningen-model.js";
+import { joinFields } from "./batch-utils.js";
+
+/**
+ * |Z| at or beyond this value is flagged (the ±2 SD normal range)
+ */
+export const DEFAULT_Z_THRESHOLD = 2;
+
+/**
+ * Where a row's Z-score lies: "above" +threshold, "below" -threshold or
+ * "within"
+ */
+function thresholdSide(row) {
+  if (!row.beyondThreshold) return "within";
+  return row.zScore > 0 ? "above" : "below";
+}
+
+/**
+ * Calculate every visit for one patient, oldest first.
+ * visits: [{ date, age, weight, height, aad }] (date is a label, age in years)
+ * Each row adds the calculateResults output, the change in Z per year since
+ * the previous visit with a Z-score, and threshold flags:
+ * - beyondThreshold: |Z| >= threshold
+ * - crossedThreshold: "above" / "below" when Z moved beyond +threshold or
+ *   -threshold since the previous visit (also straight from one to the
+ *   other), "within" when it came back, otherwise null
+ * Visits that fail validation keep their error instead of results.
+ */
+export function computeSerialResults(
+  model,
+  sex,
+  visits,
+  { threshold = DEFAULT_Z_THRESHOLD } = {}
+) {
+  const sorted = [...visits].sort((a, b) => a.age - b.age);
+  let previous = null;
+
+  return sorted.map((visit) => {
+    let result;
+    try {
+      result = model.calculateResults(
+        visit.age,
+        visit.weight,
+        visit.height,
+        sex,
+        visit.aad
+      );
+    } catch (error) {
+      if (!(error instanceof InvalidInputError)) throw error;
+      return { ...visit, status: "error", error: error.message };
+    }
+
+    const row = {
+      ...visit,
+      ...result,
+      status: "success",
+      zChangePerYear: null,
+      beyondThreshold: result.zScore !== null && Math.abs(result.zScore) >= threshold,
+      crossedThreshold: null,
+    };
+
+    if (result.zScore !== null) {
+      if (previous && visit.age > previous.age) {
+        row.zChangePerYear =
+          (result.zScore - previous.zScore) / (visit.age - previous.age);
+      }
+      if (previous && thresholdSide(row) !== thresholdSide(previous)) {
+        row.crossedThreshold = thresholdSide(row);
+      }
+      previous = row;
+    }
+
+    return row;
+  });
+}
+
+/**
+ * Overall rate of change: least-squares slope of Z against age (per year)
+ * Returns null with fewer than two visits with a Z-score at different ages
+ */
+export function zScoreTrend(rows) {
+  const points = rows.filter(
+    (row) => row.status === "success" && row.zScore !== null
+  );
+  if (points.length < 2) return null;
+
+  const meanAge = points.reduce((sum, p) => sum + p.age, 0) / points.length;
+  const meanZ = points.reduce((sum, p) => sum + p.zScore, 0) / points.length;
+
+  let covariance = 0;
+  let variance = 0;
+  for (const p of points) {
+    covariance += (p.age - meanAge) * (p.zScore - meanZ);
+    variance += (p.age - meanAge) ** 2;
+  }
+
+  return variance > 0 ? covariance / variance : null;
+}
+
+/**
+ * Escape user-entered text for SVG markup
+ */
+function escapeXml(text) {
+  return String(text).replace(
+    /[<>&"]/g,
+    (char) => ({ "<": "&lt;", ">": "&gt;", "&": "&amp;", '"': "&quot;" })[char]
+  );
+}
+
+/**
+ * SVG markup of Z against age, with the ±threshold band and flagged visits
+ */
+export function zScoreChartSvg(rows, { threshold = DEFAULT_Z_THRESHOLD } = {}) {
+  const points = rows.filter(
+    (row) => row.status === "success" && row.zScore !== null
+  );
+
+  const width = 640;
+  const height = 300;
+  const plot = { left: 40, right: width - 16, top: 16, bottom: height - 40 };
+
+  const ages = points.map((p) => p.age);
+  let ageMin = Math.min(...ages);
+  let ageMax = Math.max(...ages);
+  if (ageMax - ageMin < 1) {
+    ageMin = Math.max(0, ageMin - 0.5);
+    ageMax = ageMin + 1;
+  }
+  const zLimit = Math.max(
+    threshold + 1,
+    Math.ceil(Math.max(...points.map((p) => Math.abs(p.zScore))))
+  );
+
+  const x = (age) =>
+    plot.left + ((age - ageMin) / (ageMax - ageMin)) * (plot.right - plot.left);
+  const y = (z) =>
+    plot.top + ((zLimit - z) / (2 * zLimit)) * (plot.bottom - plot.top);
+  const f = (value) => value.toFixed(1);
+
+  const zTicks = [];
+  for (let z = -zLimit; z <= zLimit; z++) {
+    zTicks.push(
+      `<line class="chart-grid" x1="${plot.left}" x2="${plot.right}" y1="${f(y(z))}" y2="${f(y(z))}" />`,
+      `<text class="chart-tick" x="${plot.left - 6}" y="${f(y(z))}" text-anchor="end" dominant-baseline="middle">${z > 0 ? `+${z}` : z}</text>`
+    );
+  }
+
+  const ageTicks = [];
+  const step = Math.max(1, Math.ceil((ageMax - ageMin) / 8));
+  for (let age = Math.ceil(ageMin); age <= ageMax; age += step) {
+    ageTicks.push(
+      `<text class="chart-tick" x="${f(x(age))}" y="${plot.bottom + 16}" text-anchor="middle">${age}y</text>`
+    );
+  }
+
+  const markers = points.map(
+    (p) =>
+      `<circle class="${p.beyondThreshold ? "chart-patient" : "chart-visit"}" cx="${f(x(p.age))}" cy="${f(y(p.zScore))}" r="5"><title>${
+        p.date ? `${escapeXml(p.date)}: ` : ""
+      }Z = ${p.zScore.toFixed(2)} at ${p.age.toFixed(1)} years</title></circle>`
+  );
+
+  return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${width} ${height}" class="growth-chart" role="img" aria-labelledby="zChartTitle">
+  <title id="zChartTitle">Z-score by age over ${points.length} visits, with the ±${threshold} threshold</title>
+  <rect class="chart-band chart-band-1" x="${plot.left}" y="${f(y(threshold))}" width="${plot.right - plot.left}" height="${f(y(-threshold) - y(threshold))}" />
+  ${zTicks.join("\n  ")}
+  ${ageTicks.join("\n  ")}
+  <line class="chart-threshold" x1="${plot.left}" x2="${plot.right}" y1="${f(y(threshold))}" y2="${f(y(threshold))}" />
+  <line class="chart-threshold" x1="${plot.left}" x2="${plot.right}" y1="${f(y(-threshold))}" y2="${f(y(-threshold))}" />
+  <polyline class="chart-mean" points="${points.map((p) => `${f(x(p.age))},${f(y(p.zScore))}`).join(" ")}" />
+  ${markers.join("\n  ")}
+  <text class="chart-axis-label" x="${(plot.left + plot.right) / 2}" y="${height - 4}" text-anchor="middle">Age</text>
+</svg>`;
+}
+
+/**
+ * CSV of the visit table, for saving alongside the patient's record
+ */
+export function serialResultsCsv(rows, sex) {
+  const headers = [
+    "date", "sex", "age", "weight", "height", "aad", "expected_aad",
+    "std_dev", "z_score", "percentile", "z_change_per_year", "flag", "status",
+  ];
+
+  const lines = rows.map((row) => {
+    if (row.status === "error") {
+      return [row.date ?? "", sex, row.age, row.weight, row.height, row.aad ?? "",
+        "", "", "", "", "", "", `error: ${row.error}`];
+    }
+    return [
+      row.date ?? "",
+      sex,
+      row.age,
+      row.weight,
+      row.height,
+      row.aad ?? "",
+      row.meanAAD.toFixed(3),
+      row.stdDev.toFixed(3),
+      row.zScore !== null ? row.zScore.toFixed(3) : "",
+      row.percentile !== null ? row.percentile.toFixed(1) : "",
+      row.zChangePerYear !== null ? row.zChangePerYear.toFixed(3) : "",
+      row.crossedThreshold ? `crossed_${row.crossedThreshold}` : "",
+      row.status,
+    ];
+  });
+
+  return [headers, ...lines].map((line) => joinFields(line)).join("\n");
+}
@@ -0,0 +1,176 @@
+// statistics.js - Normal distribution helpers for centiles and p-values
+// Used by the shared engine (groningen-model.js); no dependencies
+
+/**
+ * Reference intervals offered in the UI and CLI, as [lower, upper] centiles
+ */
+export const REFERENCE_INTERVALS = {
+  "2.5-97.5": [2.5, 97.5],
+  "1-99": [1, 99],
+  "3-97": [3, 97],
+  "5-95": [5, 95],
+};
+
+export const DEFAULT_REFERENCE_INTERVAL = REFERENCE_INTERVALS["2.5-97.5"];
+
+/**
+ * Standard normal cumulative distribution function Φ(z)
+ * Hart's double precision algorithm (West, Wilmott Magazine 2005)
+ */
+export function normalCdf(z) {
+  const x = Math.abs(z);
+  let tail;
+
+  if (x > 37) {
+    tail = 0;
+  } else {
+    const exponential = Math.exp((-x * x) / 2);
+
+    if (x < 7.07106781186547) {
+      let numerator = 3.52624965998911e-2 * x + 0.700383064443688;
+      numerator = numerator * x + 6.37396220353165;
+      numerator = numerator * x + 33.912866078383;
+      numerator = numerator * x + 112.079291497871;
+      numerator = numerator * x + 221.213596169931;
+      numerator = numerator * x + 220.206867912376;
+
+      let denominator = 8.83883476483184e-2 * x + 1.75566716318264;
+      denominator = denominator * x + 16.064177579207;
+      denominator = denominator * x + 86.7807322029461;
+      denominator = denominator * x + 296.564248779674;
+      denominator = denominator * x + 637.333633378831;
+      denominator = denominator * x + 793.826512519948;
+      denominator = denominator * x + 440.413735824752;
+
+      tail = (exponential * numerator) / denominator;
+    } else {
+      let fraction = x + 0.65;
+      fraction = x + 4 / fraction;
+      fraction = x + 3 / fraction;
+      fraction = x + 2 / fraction;
+      fraction = x + 1 / fraction;
+      tail = exponential / fraction / 2.506628274631;
+    }
+  }
+
+  return z > 0 ? 1 - tail : tail;
+}
+
+/**
+ * Inverse of normalCdf: the z with Φ(z) = p, for 0 < p < 1
+ * Acklam's rational approximation refined with one Halley step
+ */
+export function normalQuantile(p) {
+  if (!(p > 0 && p < 1)) {
+    if (p === 0) return -Infinity;
+    if (p === 1) return Infinity;
+    return NaN;
+  }
+
+  const a = [
+    -3.969683028665376e1, 2.209460984245205e2, -2.759285104469687e2,
+    1.38357751867269e2, -3.066479806614716e1, 2.506628277459239,
+  ];
+  const b = [
+    -5.447609879822406e1, 1.615858368580409e2, -1.556989798598866e2,
+    6.680131188771972e1, -1.328068155288572e1,
+  ];
+  const c = [
+    -7.784894002430293e-3, -3.223964580411365e-1, -2.400758277161838,
+    -2.549732539343734, 4.374664141464968, 2.938163982698783,
+  ];
+  const d = [
+    7.784695709041462e-3, 3.224671290700398e-1, 2.445134137142996,
+    3.754408661907416,
+  ];
+  const pLow = 0.02425;
+
+  let z;
+  if (p < pLow) {
+    const q = Math.sqrt(-2 * Math.log(p));
+    z =
+      (((((c[0] * q + c[1]) * q + c[2]) * q + c[3]) * q + c[4]) * q + c[5]) /
+      ((((d[0] * q + d[1]) * q + d[2]) * q + d[3]) * q + 1);
+  } else if (p <= 1 - pLow) {
+    const q = p - 0.5;
+    const r = q * q;
+    z =
+      ((((((a[0] * r + a[1]) * r + a[2]) * r + a[3]) * r + a[4]) * r + a[5]) *
+        q) /
+      (((((b[0] * r + b[1]) * r + b[2]) * r + b[3]) * r + b[4]) * r + 1);
+  } else {
+    const q = Math.sqrt(-2 * Math.log(1 - p));
+    z =
+      -(((((c[0] * q + c[1]) * q + c[2]) * q + c[3]) * q + c[4]) * q + c[5]) /
+      ((((d[0] * q + d[1]) * q + d[2]) * q + d[3]) * q + 1);
+  }
+
+  // Halley refinement brings the result to full double precision
+  const error = normalCdf(z) - p;
+  const u = error * Math.sqrt(2 * Math.PI) * Math.exp((z * z) / 2);
+  return z - u / (1 + (z * u) / 2);
+}
+
+/**
+ * Centile (0-100) of a z-score
+ */
+export function zScoreToPercentile(zScore) {
+  return normalCdf(zScore) * 100;
+}
+
+/**
+ * Two-sided tail probability P(|Z| >= |z|)
+ */
+export function twoSidedPValue(zScore) {
+  return 2 * normalCdf(-Math.abs(zScore));
+}
+
+/**
+ * Parse "1-99" (or [1, 99]) into [lower, upper] centiles
+ * Throws RangeError unless 0 < lower < upper < 100
+ */
+export function parseReferenceInterval(value) {
+  const centiles = Array.isArray(value)
+    ? value.map(Number)
+    : String(value).split(/[-–]/).map((part) => parseFloat(part));
+
+  const [lower, upper] = centiles;
+  if (!(centiles.length === 2 && lower > 0 && lower < upper && upper < 100)) {
+    throw new RangeError(
+      `Invalid reference interval "${value}" (use two centiles between 0 and 100, e.g. 2.5-97.5)`
+    );
+  }
+
+  return [lower, upper];
+}
+
+/**
+ * Reference interval of a normal prediction between two centiles
+ * Returns { lowerCentile, upperCentile, lower, upper }
+ */
+export function referenceIntervalBounds(
+  mean,
+  stdDev,
+  referenceInterval = DEFAULT_REFERENCE_INTERVAL
+) {
+  const [lowerCentile, upperCentile] = parseReferenceInterval(referenceInterval);
+
+  return {
+    lowerCentile,
+    upperCentile,
+    lower: mean + normalQuantile(lowerCentile / 100) * stdDev,
+    upper: mean + normalQuantile(upperCentile / 100) * stdDev,
+  };
+}
+
+/**
+ * Centile label for display, e.g. 2.5 → "2.5th", 1 → "1st", 97.5 → "97.5th"
+ */
+export function formatCentile(centile) {
+  const text = String(centile);
+  if (text.includes(".")) return `${text}th`;
+
+  const lastTwo = centile % 100;
+  if (lastTwo >= 11 && lastTwo <= 13) return `${text}th`;
+  return `${text}${{ 1: "st", 2: "nd", 3: "rd" }[centile % 10] || "th"}`;
+}
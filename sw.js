@@ -1,5 +1,5 @@
-const CACHE_NAME = "groningen-aov-v1.1.2"; // Update this on new releases
-const DATA_CACHE_NAME = "groningen-aov-data-v1.1.2";
+const CACHE_NAME = "groningen-aov-v1.2.0"; // Update this on new releases
+const DATA_CACHE_NAME = "groningen-aov-data-v1.2.0";
 const OFFLINE_FALLBACK = '/offline.html'; 
 
 // Files to cache for offline functionality
@@ -12,13 +12,38 @@ const FILES_TO_CACHE = [
   "/about/index.html", 
   "/test/",
   "/test/index.html",
+  "/serial/",
+  "/serial/index.html",
+  "/history/",
+  "/history/index.html",
+  "/batch/",
+  "/batch/index.html",
+  "/js/groningen-model.js",
+  "/js/grid-binary.js",
+  "/js/statistics.js",
+  "/js/anthropometry.js",
+  "/js/growth-chart.js",
+  "/js/serial.js",
+  "/js/batch-utils.js",
+  "/js/csv-parser.js",
+  "/js/column-mapping.js",
+  "/js/batch-worker.js",
+  "/js/batch-worker-client.js",
+  "/js/batch-stream.js",
+  "/js/age.js",
+  "/js/bsa.js",
+  "/js/model-registry.js",
+  "/js/reference-models.js",
+  "/js/history-store.js",
   "/js/results-calculator.js",
   "/js/form-utils.js",
   "/js/app.js",
   "/js/version.js",
   "/style/style.css",
   "/style/pico.blue.min.css",
-  "/data/groningen_aad_lookup.json",
+  // Pages load the binary grid; the JSON grid is only fetched if it fails
+  "/data/models.json",
+  "/data/groningen_aad_lookup.bin",
   "/data/groningen_aad_metadata.json",
   "/manifest.json",
   "/icons/android/android-launchericon-192-192.png",
@@ -140,7 +165,10 @@ async function handleDataRequest(request) {
       if (response && response.status === 200) {
         // Clone before caching
         const responseClone = response.clone();
-        cache.put(request.url, responseClone).catch(err => {
+        const update = new URL(request.url).pathname.endsWith('/models.json')
+          ? cacheManifestWithGrids(cache, request.url, responseClone)
+          : cache.put(request.url, responseClone);
+        update.catch(err => {
           console.warn('[ServiceWorker] Failed to cache data:', err);
         });
       }
@@ -149,7 +177,9 @@ async function handleDataRequest(request) {
     } catch (networkError) {
       console.log('[ServiceWorker] Network failed for data, trying cache:', request.url);
       
-      const cachedResponse = await cache.match(request);
+      // Data fetched since install first, then the pre-cached copy
+      const cachedResponse = await cache.match(request) ||
+        await (await caches.open(CACHE_NAME)).match(request);
       if (cachedResponse) {
         return cachedResponse;
       }
@@ -189,6 +219,30 @@ async function handleDataRequest(request) {
   }
 }
 
+// Cache a fetched model manifest together with the grid files it lists.
+// When its checksums changed, the grids are fetched and cached first, so an
+// offline client never pairs a new manifest with an old grid.
+async function cacheManifestWithGrids(cache, manifestUrl, response) {
+  const text = await response.clone().text();
+  const cached = await cache.match(manifestUrl) ||
+    await (await caches.open(CACHE_NAME)).match(manifestUrl);
+  if (!cached || (await cached.text()) !== text) {
+    const manifest = JSON.parse(text);
+    const grids = await Promise.all(
+      manifest.versions.map(async (entry) => {
+        const url = new URL((entry.binary ?? entry).file, manifestUrl).href;
+        const gridResponse = await fetch(url, { cache: 'no-cache' });
+        if (!gridResponse.ok) {
+          throw new Error(`Grid ${url} failed: ${gridResponse.status}`);
+        }
+        return [url, gridResponse];
+      })
+    );
+    await Promise.all(grids.map(([url, gridResponse]) => cache.put(url, gridResponse)));
+  }
+  await cache.put(manifestUrl, response);
+}
+
 // Network-first strategy for development with timeout
 async function handleDevelopmentRequest(request) {
   console.log("[ServiceWorker] DEV MODE: Network-first for", request.url);
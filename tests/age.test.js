@@ -0,0 +1,141 @@
+// age.test.js - Exact age from dates and gestational-age correction
+
+import { test, describe } from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  parseDate,
+  isAmbiguousDate,
+  decimalAge,
+  parseGestationalAge,
+  ageFromDates,
+} from "../js/age.js";
+import { findMissingColumns, validateAndCleanData } from "../js/batch-utils.js";
+
+function assertClose(actual, expected, tolerance, label) {
+  assert.ok(
+    Math.abs(actual - expected) <= tolerance,
+    `${label}: expected ${expected} ±${tolerance}, got ${actual}`
+  );
+}
+
+describe("date parsing", () => {
+  test("accepts ISO and unambiguous day-first dates", () => {
+    const expected = Date.UTC(2023, 4, 17);
+    for (const text of ["2023-05-17", "17-05-2023", "17/5/2023", "17.05.2023"]) {
+      assert.equal(parseDate(text)?.getTime(), expected, text);
+    }
+    assert.equal(parseDate("05/05/2023")?.getTime(), Date.UTC(2023, 4, 5));
+  });
+
+  test("rejects day-first dates that could be month-first", () => {
+    for (const text of ["03/04/2015", "07-05-2023", "1.12.2020"]) {
+      assert.ok(isAmbiguousDate(text), text);
+      assert.equal(parseDate(text), null, text);
+    }
+    assert.ok(!isAmbiguousDate("2015-03-04"));
+    assert.ok(!isAmbiguousDate("13/04/2015"));
+    assert.throws(
+      () => decimalAge("03/04/2015", "2024-06-15"),
+      /Ambiguous date "03\/04\/2015".*YYYY-MM-DD/
+    );
+  });
+
+  test("batch rows with ambiguous dates say which format to use", () => {
+    const { cleanPatients, errors } = validateAndCleanData([
+      { sex: "F", dob: "03/04/2015", exam_date: "2024-06-15", height: 130, weight: 28 },
+    ]);
+    assert.equal(cleanPatients.length, 0);
+    assert.match(errors[0], /Ambiguous date "03\/04\/2015".*use YYYY-MM-DD/);
+  });
+
+  test("rejects impossible or unrecognised dates", () => {
+    for (const text of ["2023-02-29", "31-04-2023", "2023/05/07", "", "May 7"]) {
+      assert.equal(parseDate(text), null, text);
+    }
+  });
+});
+
+describe("decimal age", () => {
+  test("whole years on birthdays", () => {
+    assert.equal(decimalAge("2010-06-15", "2024-06-15"), 14);
+    assert.equal(decimalAge("2010-06-15", "2010-06-15"), 0);
+  });
+
+  test("fraction of the current year of life", () => {
+    // 181 of the 365 days between 1 Jan 2023 and 1 Jan 2024
+    assertClose(decimalAge("2020-01-01", "2023-07-01"), 3 + 181 / 365, 1e-12, "age");
+    // The year of life containing 29 Feb 2024 has 366 days
+    assertClose(decimalAge("2023-03-01", "2024-03-01"), 1, 1e-12, "leap year");
+    assertClose(decimalAge("2023-03-01", "2023-09-01"), 184 / 366, 1e-12, "leap year");
+  });
+
+  test("29 February birthdays fall on 28 February in other years", () => {
+    assert.equal(decimalAge("2024-02-29", "2025-02-28"), 1);
+    assert.ok(decimalAge("2024-02-29", "2025-02-27") < 1);
+  });
+
+  test("one day old in a year of life with 29 February", () => {
+    assertClose(decimalAge("2024-01-01", "2024-01-02"), 1 / 366, 1e-12, "1 day");
+  });
+
+  test("exam before birth is an error", () => {
+    assert.throws(() => decimalAge("2024-01-02", "2024-01-01"), RangeError);
+  });
+});
+
+describe("gestational correction", () => {
+  test("parses weeks and weeks+days", () => {
+    assert.equal(parseGestationalAge("32"), 32);
+    assertClose(parseGestationalAge("32+4"), 32 + 4 / 7, 1e-12, "32+4");
+    assert.equal(parseGestationalAge(28.5), 28.5);
+    assert.equal(parseGestationalAge(""), null);
+    for (const value of ["18", "32+7", "abc"]) {
+      assert.throws(() => parseGestationalAge(value), RangeError, value);
+    }
+  });
+
+  test("subtracts the weeks born before term", () => {
+    const result = ageFromDates("2024-01-01", "2024-07-01", "30");
+    assert.equal(result.correctionWeeks, 10);
+    assertClose(result.age, result.chronologicalAge - 70 / 365.25, 1e-12, "age");
+  });
+
+  test("no correction at term or after two years", () => {
+    assert.equal(ageFromDates("2024-01-01", "2024-07-01", "38").correctionWeeks, 0);
+    assert.equal(ageFromDates("2020-01-01", "2023-01-01", "28").correctionWeeks, 0);
+  });
+
+  test("negative corrected age is an error", () => {
+    assert.throws(() => ageFromDates("2024-01-01", "2024-02-01", "28"), RangeError);
+  });
+});
+
+describe("batch date columns", () => {
+  test("dob and exam_date stand in for age", () => {
+    const rows = [{ sex: "F", dob: "2020-01-01", exam_date: "2023-07-01", height: 96, weight: 14 }];
+    assert.deepEqual(findMissingColumns(rows), []);
+    assert.deepEqual(findMissingColumns([{ sex: "F", dob: "x", height: 1, weight: 1 }]), ["age"]);
+
+    const { cleanPatients, errors } = validateAndCleanData(rows);
+    assert.deepEqual(errors, []);
+    assertClose(cleanPatients[0].age, decimalAge("2020-01-01", "2023-07-01"), 1e-12, "age");
+  });
+
+  test("an age value takes precedence over dates", () => {
+    const { cleanPatients } = validateAndCleanData([
+      { sex: "M", age: 5, dob: "2020-01-01", exam_date: "2023-07-01", height: 110, weight: 18 },
+    ]);
+    assert.equal(cleanPatients[0].age, 5);
+  });
+
+  test("corrects preterm infants and reports bad dates per row", () => {
+    const { cleanPatients, errors } = validateAndCleanData([
+      { sex: "F", dob: "2024-01-10", exam_date: "2024-06-10", gestational_age: "30+2", height: 60, weight: 5.4 },
+      { sex: "M", dob: "2024-02-30", exam_date: "2024-06-10", height: 60, weight: 5.4 },
+    ]);
+    assert.equal(cleanPatients.length, 1);
+    assertClose(cleanPatients[0].correctionWeeks, 40 - (30 + 2 / 7), 1e-12, "weeks");
+    assert.match(errors[0], /^Row 2: Enter valid dates/);
+  });
+});
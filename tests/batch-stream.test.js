@@ -0,0 +1,124 @@
+// batch-stream.test.js - Streaming import, calculation and export of large files
+
+import { test, describe } from "node:test";
+import assert from "node:assert/strict";
+
+import { loadModelVersion } from "../js/model-registry.js";
+import {
+  BatchCancelledError,
+  buildResultsCsv,
+  calculatePatient,
+  cleanPatientRow,
+  csvParseOptions,
+  detectDelimiter,
+  processBatch,
+  summarizeResults,
+} from "../js/batch-utils.js";
+import { parseCsv } from "../js/csv-parser.js";
+import { streamBatch } from "../js/batch-stream.js";
+
+const model = await loadModelVersion();
+const generatedAt = new Date("2025-09-01T12:00:00Z");
+const exportOptions = { centiles: [2.5, 97.5], provenance: model.provenance, generatedAt };
+const calculate = (patients) =>
+  processBatch(model, patients, { referenceInterval: exportOptions.centiles });
+
+// 2,345 rows with quoted sexes, CRLF endings and a few invalid rows
+const lines = ["Sex;Age;Height;Weight;AAD"];
+for (let i = 0; i < 2345; i++) {
+  const sex = i % 2 ? '"Male"' : "f";
+  const age = i % 997 === 5 ? "unknown" : ((i % 180) / 10).toString().replace(".", ",");
+  lines.push(`${sex};${age};${50 + (i % 140)};${3 + (i % 70)};${i % 3 ? 8 + (i % 20) : ""}`);
+}
+const text = "\uFEFF" + lines.join("\r\n") + "\r\n";
+
+/**
+ * A text stream delivering `source` in pieces of `size` characters,
+ * recording whether it was cancelled
+ */
+function textStream(source, size = 4096) {
+  let offset = 0;
+  const stream = new ReadableStream({
+    pull(controller) {
+      if (offset >= source.length) {
+        controller.close();
+      } else {
+        controller.enqueue(source.slice(offset, (offset += size)));
+      }
+    },
+    cancel() {
+      stream.wasCancelled = true;
+    },
+  });
+  return stream;
+}
+
+/**
+ * The same file through the in-memory path, with invalid rows kept as
+ * error rows
+ */
+function inMemoryResults(source) {
+  const { data } = parseCsv(source, csvParseOptions(detectDelimiter(source)));
+  return data.map((record) => {
+    const { cleanPatient, error } = cleanPatientRow(record);
+    return cleanPatient
+      ? calculatePatient(model, cleanPatient, { referenceInterval: exportOptions.centiles })
+      : { ...record, error, status: "error" };
+  });
+}
+
+describe("streamBatch", () => {
+  test("writes the same CSV as the in-memory path", async () => {
+    const blocks = [];
+    const streamed = await streamBatch(textStream(text, 333), {
+      calculate,
+      exportOptions,
+      blockRows: 500,
+      onBlock: ({ summary }) => blocks.push(summary.total),
+    });
+
+    const results = inMemoryResults(text);
+    const expected = buildResultsCsv(results, { ...exportOptions, hasAAD: true }) + "\n";
+    assert.equal(await streamed.blob.text(), expected);
+    assert.deepEqual(streamed.summary, summarizeResults(results));
+    assert.deepEqual(blocks, [500, 1000, 1500, 2000, 2345]);
+    assert.equal(streamed.delimiter, ";");
+    assert.equal(streamed.hasAAD, true);
+  });
+
+  test("keeps invalid rows as error rows and a bounded preview", async () => {
+    const { summary, preview } = await streamBatch(textStream(text), {
+      calculate,
+      exportOptions,
+      previewRows: 50,
+    });
+    assert.equal(summary.total, 2345);
+    assert.equal(summary.failed, 3);
+    assert.equal(preview.length, 50);
+    assert.ok(preview.every((result) => result.status === "success"));
+  });
+
+  test("refuses input without the required columns", async () => {
+    await assert.rejects(
+      streamBatch(textStream("sex,age,weight\nM,4,16\n"), { calculate }),
+      /Missing required columns: height/
+    );
+    await assert.rejects(streamBatch(textStream(""), { calculate }), /No valid data rows/);
+  });
+
+  test("stops reading the file when cancelled", async () => {
+    const stream = textStream(text, 100);
+    let blocks = 0;
+    await assert.rejects(
+      streamBatch(stream, {
+        calculate,
+        blockRows: 200,
+        onBlock: () => blocks++,
+        isCancelled: () => blocks === 2,
+      }),
+      BatchCancelledError
+    );
+    assert.equal(blocks, 2);
+    assert.equal(stream.wasCancelled, true);
+  });
+});
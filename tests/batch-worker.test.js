@@ -0,0 +1,162 @@
+// batch-worker.test.js - Chunked batch processing, in and out of the worker
+
+import { test, describe, before, after } from "node:test";
+import assert from "node:assert/strict";
+
+import { loadModelVersion } from "../js/model-registry.js";
+import {
+  BatchCancelledError,
+  calculatePatient,
+  processBatch,
+} from "../js/batch-utils.js";
+import { runBatchJob } from "../js/batch-worker.js";
+import { BatchWorkerClient, BatchWorkerError } from "../js/batch-worker-client.js";
+
+const model = await loadModelVersion();
+const options = { referenceInterval: [1, 99] };
+
+// 1,000 rows including some the engine rejects
+const patients = Array.from({ length: 1000 }, (_, i) => ({
+  sex: i % 2 ? "male" : "female",
+  age: (i % 180) / 10,
+  height: 50 + (i % 140),
+  weight: 3 + (i % 70),
+  aad: i % 3 ? 8 + (i % 20) : null,
+}));
+patients[10].age = 200;
+patients[500].weight = -1;
+
+const expected = patients.map((patient) => calculatePatient(model, patient, options));
+
+/**
+ * Stand-in for the browser's Worker: runs batch-worker.js's job handler
+ * with structured cloning both ways, like postMessage
+ */
+class FakeWorker {
+  static instances = [];
+
+  constructor(url, workerOptions) {
+    this.url = url;
+    this.workerOptions = workerOptions;
+    this.terminated = false;
+    FakeWorker.instances.push(this);
+  }
+
+  postMessage(data) {
+    runBatchJob(structuredClone(data), (message) => {
+      if (!this.terminated) this.onmessage?.({ data: structuredClone(message) });
+    });
+  }
+
+  terminate() {
+    this.terminated = true;
+  }
+}
+
+describe("processBatch", () => {
+  test("matches calculatePatient row by row, in order", async () => {
+    const chunks = [];
+    const results = await processBatch(model, patients, options, {
+      onChunk: (chunk) => chunks.push(chunk),
+    });
+
+    assert.deepEqual(results, expected);
+    assert.equal(chunks.length, 10);
+    assert.deepEqual(
+      chunks.map(({ start, processed }) => [start, processed]).slice(0, 2),
+      [
+        [0, 100],
+        [100, 200],
+      ]
+    );
+    assert.equal(results[10].status, "error");
+  });
+
+  test("stops between chunks when cancelled", async () => {
+    let chunks = 0;
+    await assert.rejects(
+      processBatch(model, patients, options, {
+        onChunk: () => chunks++,
+        isCancelled: () => chunks === 3,
+      }),
+      BatchCancelledError
+    );
+    assert.equal(chunks, 3);
+  });
+});
+
+describe("batch worker", () => {
+  test("streams chunks that reassemble to the main-thread results", async () => {
+    const messages = [];
+    await runBatchJob(
+      { jobId: 1, version: model.provenance.version, patients, options },
+      (message) => messages.push(structuredClone(message))
+    );
+
+    const done = messages.at(-1);
+    assert.equal(done.type, "done");
+    assert.deepEqual(done.provenance, model.provenance);
+    const results = messages
+      .filter((message) => message.type === "chunk")
+      .flatMap((message) => message.results);
+    assert.deepEqual(results, expected);
+  });
+
+  test("reports a grid version it can't load", async () => {
+    const messages = [];
+    await runBatchJob({ jobId: 2, version: "1999-01-01", patients, options }, (message) =>
+      messages.push(message)
+    );
+    assert.equal(messages.length, 1);
+    assert.equal(messages[0].type, "error");
+    assert.match(messages[0].message, /Unknown model version/);
+  });
+});
+
+describe("BatchWorkerClient", () => {
+  before(() => {
+    globalThis.Worker = FakeWorker;
+  });
+  after(() => {
+    delete globalThis.Worker;
+  });
+
+  test("gives the main-thread results and reuses its worker", async () => {
+    const client = new BatchWorkerClient();
+    let processed = 0;
+    const results = await client.run(patients, {
+      version: model.provenance.version,
+      options,
+      onChunk: (chunk) => (processed = chunk.processed),
+    });
+
+    assert.deepEqual(results, expected);
+    assert.equal(processed, patients.length);
+    assert.equal(FakeWorker.instances.at(-1).workerOptions.type, "module");
+
+    const count = FakeWorker.instances.length;
+    await client.run(patients.slice(0, 5), { version: model.provenance.version, options });
+    assert.equal(FakeWorker.instances.length, count);
+  });
+
+  test("cancel terminates the worker and rejects the run", async () => {
+    const client = new BatchWorkerClient();
+    const run = client.run(patients, {
+      version: model.provenance.version,
+      options,
+      onChunk: ({ processed }) => processed === 200 && client.cancel(),
+    });
+
+    await assert.rejects(run, BatchCancelledError);
+    assert.equal(FakeWorker.instances.at(-1).terminated, true);
+    assert.equal(client.isRunning, false);
+  });
+
+  test("worker errors reject with BatchWorkerError", async () => {
+    const client = new BatchWorkerClient();
+    await assert.rejects(
+      client.run(patients, { version: "1999-01-01", options }),
+      (error) => error instanceof BatchWorkerError && /Unknown model version/.test(error.message)
+    );
+  });
+});
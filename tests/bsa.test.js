@@ -0,0 +1,85 @@
+// bsa.test.js - Body surface area formulas and BSA batch columns
+
+import { test, describe, before } from "node:test";
+import assert from "node:assert/strict";
+
+import { bodySurfaceArea, indexedAAD, BSA_FORMULAS } from "../js/bsa.js";
+import { createModel } from "../js/groningen-model.js";
+import { calculatePatient, buildResultsCsv } from "../js/batch-utils.js";
+
+function assertClose(actual, expected, tolerance, label) {
+  assert.ok(
+    Math.abs(actual - expected) <= tolerance,
+    `${label}: expected ${expected} ±${tolerance}, got ${actual}`
+  );
+}
+
+describe("body surface area", () => {
+  // Published nomogram values, rounded to 0.01 m²
+  const table = [
+    ["haycock", 80, 180, 2.01],
+    ["mosteller", 80, 180, 2.0],
+    ["dubois", 80, 180, 2.0],
+    ["haycock", 3.5, 50, 0.22],
+    ["mosteller", 3.5, 50, 0.22],
+    ["dubois", 3.5, 50, 0.21],
+  ];
+
+  for (const [formula, weight, height, expected] of table) {
+    test(`${BSA_FORMULAS[formula].label}: ${weight} kg, ${height} cm`, () => {
+      assertClose(bodySurfaceArea(weight, height, formula), expected, 0.005, formula);
+    });
+  }
+
+  test("defaults to Haycock", () => {
+    assert.equal(bodySurfaceArea(20, 115), bodySurfaceArea(20, 115, "haycock"));
+  });
+
+  test("rejects unknown formulas and missing body size", () => {
+    assert.throws(() => bodySurfaceArea(80, 180, "boyd"), RangeError);
+    assert.throws(() => bodySurfaceArea(0, 180), RangeError);
+    assert.throws(() => bodySurfaceArea(80, NaN), RangeError);
+  });
+
+  test("indexes AAD to BSA", () => {
+    assert.equal(indexedAAD(24, 2), 12);
+  });
+});
+
+describe("batch BSA columns", () => {
+  let results;
+  before(async () => {
+    const model = await createModel();
+    results = [
+      calculatePatient(model, { age: 40, weight: 80, height: 180, sex: "male", aad: 24 }),
+      calculatePatient(model, { age: 1, weight: 9, height: 75, sex: "female", aad: null }),
+    ];
+  });
+
+  const parse = (csv) => {
+    const lines = csv.split("\n").filter((line) => !line.startsWith("#"));
+    return { headers: lines[0].split(","), rows: lines.slice(1).map((l) => l.split(",")) };
+  };
+
+  test("are off by default", () => {
+    const { headers } = parse(buildResultsCsv(results, { hasAAD: true }));
+    assert.ok(!headers.includes("bsa_m2"));
+  });
+
+  test("add BSA and AAD/BSA with the chosen formula", () => {
+    const csv = buildResultsCsv(results, { hasAAD: true, bsaFormula: "mosteller" });
+    const { headers, rows } = parse(csv);
+
+    assert.match(csv, /# BSA: Mosteller formula/);
+    for (const row of rows) assert.equal(row.length, headers.length);
+    assert.equal(rows[0][headers.indexOf("bsa_m2")], "2.000");
+    assert.equal(rows[0][headers.indexOf("aad_bsa_index")], "12.00");
+    assert.equal(rows[1][headers.indexOf("aad_bsa_index")], "");
+  });
+
+  test("omit the index column without measured AAD", () => {
+    const { headers } = parse(buildResultsCsv(results, { hasAAD: false, bsaFormula: "haycock" }));
+    assert.ok(headers.includes("bsa_m2"));
+    assert.ok(!headers.includes("aad_bsa_index"));
+  });
+});
@@ -0,0 +1,332 @@
+// column-mapping.test.js - Header synonyms, units, mapped parsing and saved profiles
+
+import { test, describe } from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  COLUMN_PROFILES_KEY,
+  normalizeHeader,
+  headerUnit,
+  toModelUnit,
+  suggestColumnMapping,
+  suggestColumnUnits,
+  isIdentityMapping,
+  mappingForHeaders,
+  loadColumnProfiles,
+  saveColumnProfile,
+  deleteColumnProfile,
+  findMatchingProfile,
+} from "../js/column-mapping.js";
+import {
+  buildResultsCsv,
+  buildResultsCsvHeader,
+  csvParseOptions,
+  findMissingColumns,
+  formatInputValue,
+  processBatch,
+  readHeaderRow,
+  validateAndCleanData,
+} from "../js/batch-utils.js";
+import { parseCsv } from "../js/csv-parser.js";
+import { streamBatch } from "../js/batch-stream.js";
+import { loadModelVersion } from "../js/model-registry.js";
+
+const model = await loadModelVersion();
+
+const ehrExport = `PatientNr;Geslacht;Leeftijd_jr;Gewicht (kg);Lengte_cm;Annulus_mm
+101;M;40;70;170;22,5
+102;V;10;35;140;15,1`;
+
+/**
+ * In-memory stand-in for localStorage
+ */
+class MemoryStorage {
+  constructor() {
+    this.items = new Map();
+  }
+  getItem(key) {
+    return this.items.get(key) ?? null;
+  }
+  setItem(key, value) {
+    this.items.set(key, String(value));
+  }
+}
+
+describe("suggestions", () => {
+  test("normalizes case, accents, units and punctuation", () => {
+    assert.equal(normalizeHeader(" Gewicht (kg) "), "gewicht_kg");
+    assert.equal(normalizeHeader("Leeftijd-jr."), "leeftijd_jr");
+    assert.equal(normalizeHeader("Géslacht"), "geslacht");
+  });
+
+  test("matches Dutch EHR headers with unit suffixes", () => {
+    const { headers } = readHeaderRow(ehrExport);
+    assert.deepEqual(suggestColumnMapping(headers), {
+      geslacht: "sex",
+      leeftijd_jr: "age",
+      "gewicht (kg)": "weight",
+      lengte_cm: "height",
+      annulus_mm: "aad",
+    });
+  });
+
+  test("matches English synonyms and date columns", () => {
+    assert.deepEqual(
+      suggestColumnMapping(["Gender", "Date of birth", "Study date", "Stature", "Body weight"]),
+      {
+        gender: "sex",
+        "date of birth": "dob",
+        "study date": "exam_date",
+        stature: "height",
+        "body weight": "weight",
+      }
+    );
+  });
+
+  test("doesn't match a header in units it can't convert", () => {
+    assert.deepEqual(suggestColumnMapping(["height_ft", "lengte_yd"]), {});
+  });
+
+  test("prefers the exact column name and uses each column once", () => {
+    const mapping = suggestColumnMapping(["Gewicht", "Weight", "Lengte", "Length"]);
+    assert.deepEqual(mapping, { weight: "weight", lengte: "height" });
+  });
+
+  test("standard headers map to themselves", () => {
+    const mapping = suggestColumnMapping(["sex", "age", "height", "weight", "aad"]);
+    assert.ok(isIdentityMapping(mapping));
+    assert.ok(!isIdentityMapping({ geslacht: "sex" }));
+  });
+});
+
+describe("parsing with a mapping", () => {
+  test("renames mapped columns and keeps the rest", () => {
+    const { delimiter, headers, sample } = readHeaderRow(ehrExport);
+    assert.equal(delimiter, ";");
+    assert.deepEqual(sample, ["101", "M", "40", "70", "170", "22,5"]);
+
+    const mapping = suggestColumnMapping(headers);
+    const { data } = parseCsv(ehrExport, csvParseOptions(delimiter, mapping));
+    assert.deepEqual(data[0], {
+      PatientNr: "101",
+      sex: "M",
+      age: 40,
+      weight: 70,
+      height: 170,
+      aad: 22.5,
+    });
+    assert.deepEqual(findMissingColumns(data), []);
+  });
+
+  test("leaves out an unmapped column named like a mapped one", () => {
+    const text = "sex,geslacht,age,height,weight\nx,F,10,140,35";
+    const { data } = parseCsv(text, csvParseOptions(",", { geslacht: "sex" }));
+    assert.deepEqual(data[0], { sex: "F", age: 10, height: 140, weight: 35 });
+    assert.deepEqual(validateAndCleanData(data).errors, []);
+  });
+
+  test("leaves out a column set to Not used, even when it has a column's name", () => {
+    const text = "sex,age,height,weight,aad\nF,10,140,35,15.1";
+    const mapping = { ...suggestColumnMapping(readHeaderRow(text).headers), aad: null };
+    const { data, meta } = parseCsv(text, csvParseOptions(",", mapping));
+    assert.deepEqual(data[0], { sex: "F", age: 10, height: 140, weight: 35 });
+    assert.ok(!meta.fields.includes("aad"));
+    assert.equal(validateAndCleanData(data).cleanPatients[0].aad, null);
+
+    const header = buildResultsCsvHeader(1, { hasAAD: false, columnMapping: mapping });
+    assert.match(header, /^# Columns: aad → not used$/m);
+  });
+
+  test("reads Dutch M/V sexes", () => {
+    const mapping = suggestColumnMapping(readHeaderRow(ehrExport).headers);
+    const { data } = parseCsv(ehrExport, csvParseOptions(";", mapping));
+    const { cleanPatients } = validateAndCleanData(data);
+    assert.deepEqual(cleanPatients.map((patient) => patient.sex), ["male", "female"]);
+  });
+
+  test("lists renamed columns in the results header", () => {
+    const header = buildResultsCsvHeader(2, {
+      hasAAD: true,
+      columnMapping: { geslacht: "sex", age: "age", annulus_mm: "aad" },
+    });
+    assert.match(header, /^# Columns: geslacht → sex; annulus_mm → aad$/m);
+    assert.doesNotMatch(buildResultsCsvHeader(2, { hasAAD: true }), /# Columns/);
+  });
+
+  test("streamed input uses the export options' mapping", async () => {
+    const { headers } = readHeaderRow(ehrExport);
+    const columnMapping = suggestColumnMapping(headers);
+    const stream = new ReadableStream({
+      start(controller) {
+        controller.enqueue(ehrExport);
+        controller.close();
+      },
+    });
+    const { summary, hasAAD } = await streamBatch(stream, {
+      calculate: (patients) => processBatch(model, patients),
+      exportOptions: { columnMapping },
+    });
+    assert.equal(summary.successful, 2);
+    assert.equal(summary.withAAD, 2);
+    assert.ok(hasAAD);
+  });
+});
+
+describe("units", () => {
+  const headers = ["Sex", "age_days", "Weight (lb)", "height_in", "AAD_cm"];
+
+  test("reads units from header suffixes", () => {
+    const mapping = suggestColumnMapping(headers);
+    assert.deepEqual(mapping, {
+      sex: "sex",
+      age_days: "age",
+      "weight (lb)": "weight",
+      height_in: "height",
+      aad_cm: "aad",
+    });
+    assert.deepEqual(suggestColumnUnits(headers, mapping), {
+      age: "days",
+      weight: "lb",
+      height: "in",
+      aad: "cm",
+    });
+    assert.equal(headerUnit("Leeftijd (maanden)", "age"), "months");
+    assert.equal(headerUnit("lengte_cm", "height"), "cm");
+    assert.equal(headerUnit("lengte_cm", "age"), null);
+  });
+
+  test("model units aren't listed", () => {
+    const units = suggestColumnUnits(["leeftijd_jr", "gewicht_kg"], {
+      leeftijd_jr: "age",
+      gewicht_kg: "weight",
+    });
+    assert.deepEqual(units, {});
+  });
+
+  test("converts with the form's conversions", () => {
+    assert.equal(toModelUnit("age", 730.5, "days"), 2);
+    assert.equal(toModelUnit("age", 18, "months"), 1.5);
+    assert.equal(toModelUnit("height", 50, "in"), 127);
+    assert.equal(toModelUnit("height", 1.5, "m"), 150);
+    assert.equal(toModelUnit("height", 1520, "mm"), 152);
+    assert.equal(toModelUnit("weight", 3400, "g"), 3.4);
+    assert.ok(Math.abs(toModelUnit("weight", 154.3234, "lb") - 70) < 1e-9);
+    assert.equal(toModelUnit("aad", 2.25, "cm"), 22.5);
+    assert.equal(toModelUnit("weight", 70, "kg"), 70);
+    assert.equal(toModelUnit("weight", 70), 70);
+    assert.throws(() => toModelUnit("weight", 70, "stone"), RangeError);
+  });
+
+  test("validation converts before checking ranges", () => {
+    const text = "sex,age_days,weight_g,height_in,aad_cm\nF,3,3400,20,0.62\nM,40,3,20,0.6";
+    const mapping = suggestColumnMapping(readHeaderRow(text).headers);
+    const units = suggestColumnUnits(readHeaderRow(text).headers, mapping);
+    const { data } = parseCsv(text, csvParseOptions(",", mapping));
+
+    const { cleanPatients, errors } = validateAndCleanData(data, units);
+    assert.equal(cleanPatients.length, 1);
+    assert.ok(Math.abs(cleanPatients[0].age - 3 / 365.25) < 1e-12);
+    assert.equal(cleanPatients[0].weight, 3.4);
+    assert.equal(cleanPatients[0].height, 50.8);
+    assert.equal(cleanPatients[0].aad, 6.2);
+    // 3 g is below the weight range
+    assert.equal(errors.length, 1);
+    assert.match(errors[0], /^Row 2: /);
+  });
+
+  test("converted values are rounded in the results", async () => {
+    const text = "sex,age_months,weight_lb,height_in\nM,121,70,54.3\nF,120,35.5,55";
+    const mapping = suggestColumnMapping(readHeaderRow(text).headers);
+    const units = suggestColumnUnits(readHeaderRow(text).headers, mapping);
+    const { data } = parseCsv(text, csvParseOptions(",", mapping));
+    const { cleanPatients } = validateAndCleanData(data, units);
+    const results = await processBatch(model, cleanPatients);
+
+    const lines = buildResultsCsv(results, { hasAAD: false })
+      .split("\n")
+      .filter((line) => !line.startsWith("#"));
+    assert.ok(lines[1].startsWith("male,10.083,137.9,31.75,"), lines[1]);
+    assert.ok(lines[2].startsWith("female,10.000,139.7,16.10,"), lines[2]);
+    assert.equal(formatInputValue(results[0], "weight"), "31.75");
+    // The calculation itself uses the unrounded value
+    assert.notEqual(cleanPatients[0].weight, 31.75);
+  });
+
+  test("values in the model's units are written as given", async () => {
+    const { data } = parseCsv("sex,age,weight,height\nM,10.25,31.456,138.25", csvParseOptions(","));
+    const results = await processBatch(model, validateAndCleanData(data).cleanPatients);
+    const [, line] = buildResultsCsv(results, { hasAAD: false })
+      .split("\n")
+      .filter((row) => !row.startsWith("#"));
+    assert.ok(line.startsWith("male,10.25,138.25,31.456,"), line);
+  });
+
+  test("the results header records the conversions", () => {
+    const header = buildResultsCsvHeader(1, {
+      hasAAD: true,
+      columnUnits: { age: "days", weight: "lb", height: "cm" },
+    });
+    assert.match(header, /^# Units converted: age days → years; weight lb → kg$/m);
+    assert.doesNotMatch(buildResultsCsvHeader(1, { hasAAD: true }), /# Units/);
+  });
+
+  test("streamed input is converted too", async () => {
+    const text = "sex,age_months,weight,height\nM,18,11,82";
+    const stream = new ReadableStream({
+      start(controller) {
+        controller.enqueue(text);
+        controller.close();
+      },
+    });
+    const { preview } = await streamBatch(stream, {
+      calculate: (patients) => processBatch(model, patients),
+      exportOptions: { columnMapping: { age_months: "age" }, columnUnits: { age: "months" } },
+    });
+    assert.equal(preview[0].age, 1.5);
+  });
+});
+
+describe("profiles", () => {
+  test("save, load and delete", () => {
+    const storage = new MemoryStorage();
+    assert.deepEqual(loadColumnProfiles(storage), {});
+
+    saveColumnProfile("EHR", { geslacht: "sex", lft_mnd: "age" }, { age: "months" }, storage);
+    saveColumnProfile("Registry", { gender: "sex" }, {}, storage);
+    assert.deepEqual(Object.keys(loadColumnProfiles(storage)), ["EHR", "Registry"]);
+    assert.deepEqual(loadColumnProfiles(storage).EHR.units, { age: "months" });
+
+    deleteColumnProfile("EHR", storage);
+    assert.deepEqual(loadColumnProfiles(storage), {
+      Registry: { columns: { gender: "sex" }, units: {} },
+    });
+  });
+
+  test("reads profiles saved as plain mappings", () => {
+    const storage = new MemoryStorage();
+    storage.setItem(COLUMN_PROFILES_KEY, JSON.stringify({ Old: { geslacht: "sex" } }));
+    assert.deepEqual(loadColumnProfiles(storage), {
+      Old: { columns: { geslacht: "sex" }, units: {} },
+    });
+  });
+
+  test("ignores unreadable storage and works without it", () => {
+    const storage = new MemoryStorage();
+    storage.setItem(COLUMN_PROFILES_KEY, "{not json");
+    assert.deepEqual(loadColumnProfiles(storage), {});
+    assert.deepEqual(loadColumnProfiles(undefined), {});
+  });
+
+  test("finds the profile whose headers all appear", () => {
+    const profiles = {
+      Partial: { columns: { geslacht: "sex", leeftijd: "age" }, units: {} },
+      EHR: { columns: { geslacht: "sex", leeftijd_jr: "age" }, units: {} },
+    };
+    const headers = ["Geslacht", "Leeftijd_jr", "Gewicht"];
+    assert.equal(findMatchingProfile(profiles, headers), "EHR");
+    assert.equal(findMatchingProfile(profiles, ["sex"]), null);
+    assert.deepEqual(mappingForHeaders(profiles.Partial.columns, headers), {
+      geslacht: "sex",
+    });
+  });
+});
@@ -0,0 +1,124 @@
+// csv-parser.test.js - Local RFC 4180 parsing of batch input
+
+import { test, describe } from "node:test";
+import assert from "node:assert/strict";
+
+import { parseCsv, splitRows, parseValue, CsvStreamParser } from "../js/csv-parser.js";
+import { detectDelimiter, csvParseOptions } from "../js/batch-utils.js";
+
+// Parse the way the batch page and CLI do
+const parseBatch = (text) => parseCsv(text, csvParseOptions(detectDelimiter(text)));
+
+describe("splitting rows", () => {
+  test("handles quoted delimiters, quotes and line breaks", () => {
+    const { rows, errors } = splitRows('id,note\n1,"a, ""b""\nc"\n2,plain\n');
+    assert.deepEqual(rows, [
+      ["id", "note"],
+      ["1", 'a, "b"\nc'],
+      ["2", "plain"],
+    ]);
+    assert.deepEqual(errors, []);
+  });
+
+  test("accepts CRLF, CR and a byte order mark", () => {
+    const expected = [["a", "b"], ["1", "2"]];
+    assert.deepEqual(splitRows("\uFEFFa,b\r\n1,2\r\n").rows, expected);
+    assert.deepEqual(splitRows("a,b\r1,2").rows, expected);
+  });
+
+  test("keeps empty fields", () => {
+    assert.deepEqual(splitRows('a,,"",b').rows, [["a", "", "", "b"]]);
+  });
+
+  test("reports an unclosed quote", () => {
+    const { rows, errors } = splitRows('a,b\n1,"open\n2,3');
+    assert.equal(errors[0].code, "MissingQuotes");
+    assert.deepEqual(rows[1], ["1", "open\n2,3"]);
+  });
+});
+
+describe("values", () => {
+  test("numbers, blanks and text", () => {
+    assert.equal(parseValue("12.5"), 12.5);
+    assert.equal(parseValue(" -3 "), -3);
+    assert.equal(parseValue(""), null);
+    assert.equal(parseValue("32+4"), "32+4");
+    assert.equal(parseValue("2024-03-01"), "2024-03-01");
+    assert.equal(parseValue("12,5"), "12,5");
+    assert.equal(parseValue("12,5", { decimalComma: true }), 12.5);
+  });
+});
+
+describe("batch input", () => {
+  test("comma-separated with quoted text and lower-cased batch headers", () => {
+    const { data, errors } = parseBatch('Sex,Age,Height,Weight,Note\nM,40,170,70,"ok, checked"\n');
+    assert.deepEqual(errors, []);
+    assert.deepEqual(data, [{ sex: "M", age: 40, height: 170, weight: 70, Note: "ok, checked" }]);
+  });
+
+  test("other columns keep their text as written", () => {
+    const { data } = parseBatch("PatientID;sex;age;height;weight;Score\n007;F;9;130;25;12,5\n");
+    assert.deepEqual(data[0], {
+      PatientID: "007",
+      sex: "F",
+      age: 9,
+      height: 130,
+      weight: 25,
+      Score: "12,5",
+    });
+  });
+
+  test("semicolon-separated with decimal commas, as European Excel saves it", () => {
+    const { data } = parseBatch("\uFEFFsex;age;height;weight;aad\r\nF;7,5;124,3;23,1;15,2\r\n;;;;\r\n");
+    assert.deepEqual(data, [{ sex: "F", age: 7.5, height: 124.3, weight: 23.1, aad: 15.2 }]);
+  });
+
+  test("tab-separated with blank optional cells", () => {
+    const { data } = parseBatch("sex\tage\theight\tweight\taad\nm\t10\t138\t31\t\n");
+    assert.deepEqual(data, [{ sex: "m", age: 10, height: 138, weight: 31, aad: null }]);
+  });
+
+  test("reports rows with the wrong number of fields", () => {
+    const { data, errors } = parseBatch("sex,age,height,weight\nM,40,170\nF,9,130,25,extra\n");
+    assert.deepEqual(
+      errors.map(({ code, row }) => [code, row]),
+      [
+        ["TooFewFields", 0],
+        ["TooManyFields", 1],
+      ]
+    );
+    assert.equal(data[0].weight, undefined);
+    assert.equal(data[1].weight, 25);
+  });
+
+  test("no rows from header-only or empty input", () => {
+    assert.deepEqual(parseBatch("sex,age,height,weight\n").data, []);
+    assert.deepEqual(parseBatch("").data, []);
+  });
+});
+
+describe("chunked input", () => {
+  test("gives the same records wherever the chunks split", () => {
+    const text = '\uFEFFsex;note;aad\r\nM;"a; ""b""\r\nc";12,5\r\nF;"";\r\n';
+    const options = { delimiter: ";", decimalComma: true };
+    const whole = parseCsv(text, options);
+
+    for (let split = 0; split <= text.length; split++) {
+      const parser = new CsvStreamParser(options);
+      const records = [
+        ...parser.push(text.slice(0, split)),
+        ...parser.push(text.slice(split)),
+        ...parser.finish(),
+      ];
+      assert.deepEqual(records, whole.data, `split at ${split}`);
+    }
+  });
+
+  test("keeps only the first maxErrors problems but counts them all", () => {
+    const parser = new CsvStreamParser({ maxErrors: 2 });
+    parser.push("a,b\n1\n2\n3\n4\n");
+    parser.finish();
+    assert.equal(parser.errors.length, 2);
+    assert.equal(parser.errorCount, 4);
+  });
+});
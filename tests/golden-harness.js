@@ -0,0 +1,277 @@
+// golden-harness.js - Compare the JavaScript interpolation with R golden fixtures
+// Fixtures come from docs/convert_groningen_to_json.R (PART 6) and live in
+// data/groningen_aad_golden.json. Run directly for an error report of every
+// interpolation method:
+//   npm run test:golden
+
+import { readFile } from "node:fs/promises";
+import { fileURLToPath } from "node:url";
+
+import {
+  createModel,
+  interpolateGrid,
+  INTERPOLATION_METHODS,
+} from "../js/groningen-model.js";
+
+export const GOLDEN_URL = new URL(
+  "../data/groningen_aad_golden.json",
+  import.meta.url
+);
+
+/**
+ * Load the golden fixtures, or null when they have not been generated yet
+ */
+export async function loadGoldenFixtures(source = GOLDEN_URL) {
+  try {
+    return JSON.parse(await readFile(source, "utf8"));
+  } catch (error) {
+    if (error.code === "ENOENT") return null;
+    throw error;
+  }
+}
+
+/**
+ * Interpolate one fixture point on the JSON grid.
+ * Points are given in transformed coordinates, which may lie outside the
+ * calculators' validated input ranges, so the grid is queried directly.
+ */
+export function interpolatePoint(lookupData, point, interpolation = "trilinear") {
+  const { log_weight, sqrt_height, log_age_plus_1 } = lookupData.grid_axes;
+  const { mean_aad, std_dev } = lookupData.predictions;
+  const axes = [log_weight, sqrt_height, log_age_plus_1];
+  const query = [point.log_weight, point.sqrt_height, point.log_age_plus_1, point.sex];
+
+  return {
+    mean: interpolateGrid(interpolation, ...axes, mean_aad, ...query),
+    sd: interpolateGrid(interpolation, ...axes, std_dev, ...query),
+  };
+}
+
+/**
+ * Max and mean of a list of absolute errors
+ */
+function summarize(errors) {
+  const max = errors.reduce((a, b) => Math.max(a, b), 0);
+  const mean = errors.reduce((a, b) => a + b, 0) / errors.length;
+  return { max, mean };
+}
+
+/**
+ * Error statistics of the JavaScript interpolation against one reference
+ * ("model" = the fitted GAM, "grid" = R trilinear_interp on the same grid).
+ * The Z error is the mean error in units of the reference SD.
+ */
+function compareToReference(lookupData, points, reference, interpolation) {
+  const meanErrors = [];
+  const sdErrors = [];
+  const zErrors = [];
+
+  for (const point of points) {
+    const { mean, sd } = interpolatePoint(lookupData, point, interpolation);
+    const refMean = point[`${reference}_mean`];
+    const refSd = point[`${reference}_sd`];
+
+    meanErrors.push(Math.abs(mean - refMean));
+    sdErrors.push(Math.abs(sd - refSd));
+    zErrors.push(Math.abs(mean - refMean) / refSd);
+  }
+
+  return {
+    points: points.length,
+    mean: summarize(meanErrors),
+    sd: summarize(sdErrors),
+    z: summarize(zErrors),
+  };
+}
+
+/**
+ * Compare the grid against every reference in the fixtures, overall and
+ * per kind of point (random, sweep_*, face_*, corner)
+ * Returns { <reference>: { overall, byKind: { <kind>: stats } } }
+ */
+export function compareToGolden(lookupData, fixtures, interpolation = "trilinear") {
+  const report = {};
+  const kinds = [...new Set(fixtures.points.map((point) => point.kind))];
+
+  for (const reference of ["grid", "model"]) {
+    const points = fixtures.points.filter(
+      (point) => point[`${reference}_mean`] !== undefined
+    );
+    if (points.length === 0) continue;
+
+    const byKind = {};
+    for (const kind of kinds) {
+      byKind[kind] = compareToReference(
+        lookupData,
+        points.filter((point) => point.kind === kind),
+        reference,
+        interpolation
+      );
+    }
+
+    report[reference] = {
+      overall: compareToReference(lookupData, points, reference, interpolation),
+      byKind,
+    };
+  }
+
+  return report;
+}
+
+/**
+ * Held-out error of an interpolation method using only the grid itself:
+ * interpolate a half-resolution grid (every other point per axis, plus the
+ * last) at the dropped points, whose values are R's GAM predictions.
+ * Errors are larger than on the full grid, but methods compare fairly.
+ * Returns { points, mean, sd, z } stats like compareToReference.
+ */
+export function heldOutComparison(lookupData, interpolation = "trilinear") {
+  const names = ["log_weight", "sqrt_height", "log_age_plus_1"];
+  const axes = names.map((name) => lookupData.grid_axes[name]);
+  const [nX, nY, nZ] = axes.map((axis) => axis.length);
+  const kept = axes.map((axis) =>
+    axis.map((_, i) => i % 2 === 0 || i === axis.length - 1)
+  );
+  const coarseAxes = axes.map((axis, d) => axis.filter((_, i) => kept[d][i]));
+  const index = (i, j, k, s) => i + j * nX + k * nX * nY + s * nX * nY * nZ;
+
+  const coarse = {};
+  for (const name of ["mean_aad", "std_dev"]) {
+    coarse[name] = [];
+    for (let s = 0; s < 2; s++)
+      for (let k = 0; k < nZ; k++)
+        for (let j = 0; j < nY; j++)
+          for (let i = 0; i < nX; i++)
+            if (kept[0][i] && kept[1][j] && kept[2][k]) {
+              coarse[name].push(lookupData.predictions[name][index(i, j, k, s)]);
+            }
+  }
+
+  const meanErrors = [];
+  const sdErrors = [];
+  const zErrors = [];
+  for (let s = 0; s < 2; s++)
+    for (let k = 0; k < nZ; k++)
+      for (let j = 0; j < nY; j++)
+        for (let i = 0; i < nX; i++) {
+          if (kept[0][i] && kept[1][j] && kept[2][k]) continue;
+
+          const query = [axes[0][i], axes[1][j], axes[2][k], s];
+          const mean = interpolateGrid(interpolation, ...coarseAxes, coarse.mean_aad, ...query);
+          const sd = interpolateGrid(interpolation, ...coarseAxes, coarse.std_dev, ...query);
+          const refMean = lookupData.predictions.mean_aad[index(i, j, k, s)];
+          const refSd = lookupData.predictions.std_dev[index(i, j, k, s)];
+
+          meanErrors.push(Math.abs(mean - refMean));
+          sdErrors.push(Math.abs(sd - refSd));
+          zErrors.push(Math.abs(mean - refMean) / refSd);
+        }
+
+  return {
+    points: zErrors.length,
+    mean: summarize(meanErrors),
+    sd: summarize(sdErrors),
+    z: summarize(zErrors),
+  };
+}
+
+/**
+ * Print the held-out comparison of every interpolation method
+ */
+function printHeldOut(lookupData) {
+  const format = (value) => value.toExponential(2);
+
+  console.log(
+    "\nHeld-out grid points (half-resolution grid vs R GAM values at the dropped points)"
+  );
+  console.table(
+    Object.fromEntries(
+      INTERPOLATION_METHODS.map((method) => {
+        const stats = heldOutComparison(lookupData, method);
+        return [
+          method,
+          {
+            points: stats.points,
+            "max |Δmean| (mm)": format(stats.mean.max),
+            "mean |Δmean| (mm)": format(stats.mean.mean),
+            "max |Δz|": format(stats.z.max),
+            "mean |Δz|": format(stats.z.mean),
+          },
+        ];
+      })
+    )
+  );
+}
+
+/**
+ * Print a report as a table per reference
+ */
+function printReport(report, maxZError, interpolation = "trilinear") {
+  const format = (value) => value.toExponential(2);
+
+  for (const [reference, { overall, byKind }] of Object.entries(report)) {
+    console.log(
+      `\nJavaScript ${interpolation} interpolation vs ${
+        reference === "grid" ? "R trilinear_interp" : "fitted GAM"
+      } (${overall.points} points)`
+    );
+
+    const rows = { overall, ...byKind };
+    console.table(
+      Object.fromEntries(
+        Object.entries(rows).map(([kind, stats]) => [
+          kind,
+          {
+            points: stats.points,
+            "max |Δmean| (mm)": format(stats.mean.max),
+            "mean |Δmean| (mm)": format(stats.mean.mean),
+            "max |Δsd| (mm)": format(stats.sd.max),
+            "max |Δz|": format(stats.z.max),
+            "mean |Δz|": format(stats.z.mean),
+          },
+        ])
+      )
+    );
+  }
+
+  if (report.model && interpolation === "trilinear") {
+    const maxZ = report.model.overall.z.max;
+    console.log(
+      `\nmax_z_error claim: ${maxZError} - observed ${maxZ.toFixed(3)} ${
+        maxZ <= maxZError ? "✅" : "❌"
+      }`
+    );
+  } else if (!report.model) {
+    console.log(
+      "\n❌ Fixtures have no GAM outputs (predict_model() was not defined in R);" +
+        " the max_z_error claim cannot be checked"
+    );
+    process.exitCode = 1;
+  }
+}
+
+async function main() {
+  const model = await createModel();
+  printHeldOut(model.lookupData);
+
+  const fixtures = await loadGoldenFixtures();
+  if (!fixtures) {
+    console.log(
+      "\n⚠️  data/groningen_aad_golden.json not generated yet - it needs the fitted GAM" +
+        " (see docs/convert_groningen_to_json.R)"
+    );
+    return;
+  }
+
+  for (const interpolation of INTERPOLATION_METHODS) {
+    const report = compareToGolden(model.lookupData, fixtures, interpolation);
+    printReport(report, fixtures.metadata.max_z_error, interpolation);
+  }
+}
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  main().catch((error) => {
+    console.error(error);
+    process.exitCode = 1;
+  });
+}
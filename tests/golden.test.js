@@ -0,0 +1,53 @@
+// golden.test.js - Interpolation against the dense R golden fixtures
+// data/groningen_aad_golden.json is generated from the fitted GAM by
+// docs/convert_groningen_to_json.R, which needs the GAM itself. The suite is
+// skipped while the file is absent and fails on fixtures without GAM outputs.
+
+import { test, describe, before } from "node:test";
+import assert from "node:assert/strict";
+
+import { createModel, TEST_CASE_TOLERANCE } from "../js/groningen-model.js";
+import { loadGoldenFixtures, compareToGolden } from "./golden-harness.js";
+
+const fixtures = await loadGoldenFixtures();
+const skip = fixtures
+  ? false
+  : "data/groningen_aad_golden.json not generated yet (needs the fitted GAM, see docs/convert_groningen_to_json.R)";
+
+describe("golden fixtures", { skip }, () => {
+  let model;
+  let report;
+  before(async () => {
+    model = await createModel();
+    report = compareToGolden(model.lookupData, fixtures);
+  });
+
+  test("carry outputs of the fitted GAM", () => {
+    assert.ok(report.model, "fixtures have no GAM reference outputs (model_mean, model_sd)");
+  });
+
+  test("interpolation error stays within max_z_error", () => {
+    const maxZError = fixtures.metadata.max_z_error;
+    assert.ok(
+      report.model.overall.z.max <= maxZError,
+      `max Z error ${report.model.overall.z.max} exceeds ${maxZError}`
+    );
+  });
+
+  test("JavaScript matches R trilinear_interp everywhere on the grid", () => {
+    for (const [kind, stats] of Object.entries(report.grid.byKind)) {
+      assert.ok(
+        stats.mean.max <= TEST_CASE_TOLERANCE && stats.sd.max <= TEST_CASE_TOLERANCE,
+        `${kind}: max error mean ${stats.mean.max}, SD ${stats.sd.max}`
+      );
+    }
+  });
+
+  test("smooth interpolation is closer to the fitted GAM than trilinear", () => {
+    const smooth = compareToGolden(model.lookupData, fixtures, "tricubic");
+    assert.ok(
+      smooth.model.overall.z.mean <= report.model.overall.z.mean,
+      `mean Z error ${smooth.model.overall.z.mean} vs trilinear ${report.model.overall.z.mean}`
+    );
+  });
+});
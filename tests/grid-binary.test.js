@@ -0,0 +1,111 @@
+// grid-binary.test.js - Binary lookup grid: round trip, loading and fallback
+
+import { test, describe, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { readFile, writeFile, mkdtemp, rm, copyFile } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { pathToFileURL } from "node:url";
+
+import {
+  encodeLookupGrid,
+  decodeLookupGrid,
+  isBinaryGrid,
+} from "../js/grid-binary.js";
+import {
+  createModel,
+  ModelIntegrityError,
+  parseLookupBytes,
+  verifyLookupData,
+} from "../js/groningen-model.js";
+import { MANIFEST_URL, loadModelVersion } from "../js/model-registry.js";
+
+const jsonUrl = new URL("../data/groningen_aad_lookup.json", import.meta.url);
+const binaryUrl = new URL("../data/groningen_aad_lookup.bin", import.meta.url);
+const grid = JSON.parse(await readFile(jsonUrl, "utf8"));
+
+const patients = [
+  { age: 40, weight: 70, height: 170, sex: "male" },
+  { age: 0.5, weight: 7.4, height: 66, sex: "female" },
+  { age: 12.3, weight: 41, height: 152, sex: "female" },
+];
+
+describe("binary grid format", () => {
+  test("round-trips the grid exactly", () => {
+    const decoded = decodeLookupGrid(encodeLookupGrid(grid));
+
+    assert.deepEqual(decoded.grid_axes, grid.grid_axes);
+    assert.deepEqual(decoded.test_cases, grid.test_cases);
+    assert.deepEqual(decoded.dimensions, grid.dimensions);
+    for (const name of ["mean_aad", "std_dev"]) {
+      assert.deepEqual(Array.from(decoded.predictions[name]), grid.predictions[name]);
+    }
+    assert.doesNotThrow(() => verifyLookupData(decoded));
+  });
+
+  test("refuses predictions with more than 6 decimals", () => {
+    const precise = structuredClone(grid);
+    precise.predictions.std_dev[7] = 0.1234567;
+    assert.throws(() => encodeLookupGrid(precise), /std_dev value 0.1234567/);
+  });
+
+  test("the committed binary matches the JSON grid", async () => {
+    const bytes = new Uint8Array(await readFile(binaryUrl));
+    assert.ok(isBinaryGrid(bytes));
+    assert.deepEqual(bytes, encodeLookupGrid(grid), "rerun npm run grid:binary");
+    assert.ok(bytes.length < (await readFile(jsonUrl)).length / 2);
+  });
+
+  test("rejects truncated files and unknown versions", () => {
+    const bytes = encodeLookupGrid(grid);
+    assert.throws(() => decodeLookupGrid(bytes.subarray(0, 50000)), /bytes, expected/);
+
+    const future = bytes.slice();
+    future[4] = 2;
+    assert.throws(() => decodeLookupGrid(future), /format version 2/);
+    assert.throws(() => parseLookupBytes(future), ModelIntegrityError);
+  });
+});
+
+describe("loading the binary grid", () => {
+  test("createModel reads either format with identical predictions", async () => {
+    const fromJson = await createModel(jsonUrl);
+    const fromBinary = await createModel(binaryUrl);
+    for (const patient of patients) {
+      assert.deepEqual(fromBinary.predict(patient), fromJson.predict(patient));
+    }
+  });
+
+  test("loadModelVersion prefers the binary grid", async () => {
+    const model = await loadModelVersion();
+    assert.equal(model.provenance.format, "binary");
+    assert.ok(model.lookupData.predictions.mean_aad instanceof Float64Array);
+  });
+
+  describe("fallback", () => {
+    let dir;
+    before(async () => {
+      dir = await mkdtemp(join(tmpdir(), "groningen-binary-"));
+      await copyFile(MANIFEST_URL, join(dir, "models.json"));
+      await copyFile(jsonUrl, join(dir, "groningen_aad_lookup.json"));
+    });
+    after(() => rm(dir, { recursive: true }));
+
+    const load = () => loadModelVersion(null, pathToFileURL(join(dir, "models.json")));
+
+    test("uses the JSON grid when the binary is missing", async () => {
+      const model = await load();
+      assert.equal(model.provenance.format, "json");
+      assert.ok(Array.isArray(model.lookupData.predictions.mean_aad));
+    });
+
+    test("uses the JSON grid when the binary fails its checksum", async () => {
+      const bytes = encodeLookupGrid(grid);
+      bytes[bytes.length - 1] ^= 0xff;
+      await writeFile(join(dir, "groningen_aad_lookup.bin"), bytes);
+
+      const model = await load();
+      assert.equal(model.provenance.format, "json");
+    });
+  });
+});
@@ -0,0 +1,99 @@
+// growth-chart.test.js - Age sweep behind the results page growth chart
+
+import { test, describe, before } from "node:test";
+import assert from "node:assert/strict";
+
+import { createModel } from "../js/groningen-model.js";
+import {
+  typicalBodySize,
+  bodySizeTrajectory,
+  TYPICAL_BODY_SIZE,
+} from "../js/anthropometry.js";
+import {
+  sweepAges,
+  computeGrowthSeries,
+  growthChartSvg,
+} from "../js/growth-chart.js";
+
+const patient = { age: 4, weight: 15, height: 100, sex: "female" };
+
+describe("anthropometry", () => {
+  test("typical body size interpolates between table rows", () => {
+    assert.deepEqual(typicalBodySize(2, "male"), { weight: 12.2, height: 87.1 });
+    const halfway = typicalBodySize(1.5, "male");
+    assert.ok(Math.abs(halfway.weight - (9.6 + 12.2) / 2) < 1e-9);
+  });
+
+  test("typical body size grows through childhood", () => {
+    for (const rows of Object.values(TYPICAL_BODY_SIZE)) {
+      const children = rows.filter((row) => row.age <= 18);
+      children.slice(1).forEach((row, i) => {
+        assert.ok(row.height > children[i].height, `height at ${row.age}`);
+        assert.ok(row.weight > children[i].weight, `weight at ${row.age}`);
+      });
+    }
+  });
+
+  test("trajectory passes through measurements and scales beyond them", () => {
+    const sizeAt = bodySizeTrajectory("female", [
+      { age: 4, weight: 15, height: 100 },
+      { age: 8, weight: 24, height: 125 },
+    ]);
+    assert.deepEqual(sizeAt(4), { weight: 15, height: 100 });
+    assert.deepEqual(sizeAt(6), { weight: 19.5, height: 112.5 });
+
+    // Beyond the last measurement the patient keeps the same relative size
+    const typical8 = typicalBodySize(8, "female");
+    const typical10 = typicalBodySize(10, "female");
+    const at10 = sizeAt(10);
+    assert.ok(Math.abs(at10.height / typical10.height - 125 / typical8.height) < 1e-9);
+  });
+});
+
+describe("growth series", () => {
+  let model;
+  before(async () => {
+    model = await createModel();
+  });
+
+  test("sweeps the log_age_plus_1 axis up to maxAge", () => {
+    const axis = model.lookupData.grid_axes.log_age_plus_1;
+    const ages = sweepAges(axis, 18, 4, [4]);
+    assert.equal(ages[0], 0);
+    assert.equal(ages.at(-1), 18);
+    assert.ok(ages.includes(4));
+    assert.ok(ages.every((age, i) => i === 0 || age > ages[i - 1]));
+  });
+
+  test("passes through the patient's own prediction", () => {
+    const series = computeGrowthSeries(model, patient, { maxAge: 18 });
+    const atPatient = series.find((p) => p.age === patient.age);
+    const prediction = model.predict(patient);
+    assert.equal(atPatient.meanAAD, prediction.meanAAD);
+    assert.equal(atPatient.stdDev, prediction.stdDev);
+  });
+
+  test("expected AAD increases with age in childhood", () => {
+    const series = computeGrowthSeries(model, patient, { maxAge: 18 });
+    assert.ok(series.length > 50);
+    assert.ok(series.at(-1).meanAAD > series[0].meanAAD + 5);
+  });
+
+  test("SVG has three SD bands, the mean and the measured point", () => {
+    const series = computeGrowthSeries(model, patient, { maxAge: 18 });
+    const svg = growthChartSvg(series, {
+      patient,
+      measuredAAD: 14,
+      maxAge: 18,
+    });
+    for (const k of [1, 2, 3]) {
+      assert.match(svg, new RegExp(`chart-band-${k}`));
+    }
+    assert.match(svg, /class="chart-mean"/);
+    assert.match(svg, /class="chart-patient"/);
+    assert.doesNotMatch(
+      growthChartSvg(series, { patient, maxAge: 18 }),
+      /class="chart-patient"/
+    );
+  });
+});
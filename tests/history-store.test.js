@@ -0,0 +1,126 @@
+// history-store.test.js - Encryption and search behind the opt-in history
+// IndexedDB itself is browser-only; these cover the parts that run in Node
+
+import { test, describe, before } from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  deriveKey,
+  encryptJson,
+  decryptJson,
+  matchesSearch,
+  historyParams,
+  HistoryStore,
+  HistoryLockedError,
+} from "../js/history-store.js";
+
+// Few iterations keep the tests fast; the store uses PBKDF2_ITERATIONS
+const ITERATIONS = 1000;
+
+const entry = {
+  label: "MFS-017",
+  createdAt: "2025-05-14T09:30:00.000Z",
+  params: "sex=female&age=12&ageUnit=years&units=metric&height=150&weight=38&measuredAAD=21",
+  summary: { sex: "female", age: "12 years", measuredAAD: "21", zScore: 1.8 },
+};
+
+// Browsers and Node 20+ have global WebCrypto; Node 18 doesn't
+const skipCrypto = globalThis.crypto?.subtle ? false : "no global WebCrypto in this Node version";
+
+describe("history encryption", { skip: skipCrypto }, () => {
+  const salt = new Uint8Array(16).fill(7);
+  let key;
+  before(async () => {
+    key = await deriveKey("correct horse battery", salt, ITERATIONS);
+  });
+
+  test("round-trips an entry", async () => {
+    const encrypted = await encryptJson(key, entry);
+    assert.deepEqual(await decryptJson(key, encrypted), entry);
+  });
+
+  test("ciphertext does not contain the entry", async () => {
+    const { data } = await encryptJson(key, entry);
+    const text = new TextDecoder().decode(data);
+    assert.ok(!text.includes("MFS-017"));
+    assert.ok(!text.includes("measuredAAD"));
+  });
+
+  test("uses a fresh IV for every entry", async () => {
+    const a = await encryptJson(key, entry);
+    const b = await encryptJson(key, entry);
+    assert.notDeepEqual(a.iv, b.iv);
+    assert.notDeepEqual(a.data, b.data);
+  });
+
+  test("a wrong passphrase is reported as locked", async () => {
+    const encrypted = await encryptJson(key, entry);
+    const wrong = await deriveKey("wrong passphrase", salt, ITERATIONS);
+    await assert.rejects(decryptJson(wrong, encrypted), HistoryLockedError);
+  });
+});
+
+describe("history search", () => {
+  test("matches label, date and sex, case-insensitively", () => {
+    assert.ok(matchesSearch(entry, "mfs-017"));
+    assert.ok(matchesSearch(entry, "2025-05"));
+    assert.ok(matchesSearch(entry, "Female"));
+  });
+
+  test("every word must match", () => {
+    assert.ok(matchesSearch(entry, "mfs female"));
+    assert.ok(!matchesSearch(entry, "mfs male 2024"));
+    assert.ok(!matchesSearch(entry, "BAV"));
+  });
+
+  test("sex matches as a whole word", () => {
+    assert.ok(!matchesSearch(entry, "male"));
+    assert.ok(!matchesSearch(entry, "mfs male"));
+    assert.ok(matchesSearch({ ...entry, summary: { ...entry.summary, sex: "male" } }, "male"));
+  });
+
+  test("an empty query matches everything", () => {
+    assert.ok(matchesSearch(entry, ""));
+    assert.ok(matchesSearch({ createdAt: entry.createdAt }, "  "));
+  });
+});
+
+describe("saved entries", () => {
+  test("an age from dates is saved without the dates", () => {
+    const params =
+      "sex=male&ageMode=dates&dob=2015-03-01&examDate=2025-03-01&ga=32&height=140&weight=35";
+    const saved = new URLSearchParams(historyParams(params, 9.846575));
+    assert.equal(saved.get("dob"), null);
+    assert.equal(saved.get("examDate"), null);
+    assert.equal(saved.get("ga"), null);
+    assert.equal(saved.get("ageMode"), "age");
+    assert.equal(saved.get("age"), "9.8466");
+    assert.equal(saved.get("ageUnit"), "years");
+    assert.equal(saved.get("height"), "140");
+  });
+
+  test("an age entered directly is saved as entered", () => {
+    assert.equal(historyParams(entry.params, 12), entry.params);
+  });
+});
+
+describe("wipe", () => {
+  test("reports other open tabs instead of waiting for them", async () => {
+    const removed = [];
+    globalThis.localStorage = { removeItem: (key) => removed.push(key) };
+    globalThis.indexedDB = {
+      deleteDatabase() {
+        const request = {};
+        setTimeout(() => request.onblocked());
+        return request;
+      },
+    };
+    try {
+      await assert.rejects(HistoryStore.wipe(), /another tab/);
+      assert.equal(removed.length, 1);
+    } finally {
+      delete globalThis.localStorage;
+      delete globalThis.indexedDB;
+    }
+  });
+});
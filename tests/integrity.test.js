@@ -0,0 +1,119 @@
+// integrity.test.js - Lookup grid verification before any calculation
+
+import { test, describe, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { readFile, writeFile, mkdtemp, rm } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { pathToFileURL } from "node:url";
+
+import {
+  GroningenModel,
+  ModelIntegrityError,
+  ModelNotLoadedError,
+  gridStructureFailures,
+  verifyLookupData,
+} from "../js/groningen-model.js";
+import { MANIFEST_URL, loadModelVersion } from "../js/model-registry.js";
+
+const gridUrl = new URL("../data/groningen_aad_lookup.json", import.meta.url);
+const gridText = await readFile(gridUrl, "utf8");
+
+// Fresh copy for each test to tamper with
+const grid = () => JSON.parse(gridText);
+
+describe("grid structure", () => {
+  test("the bundled grid is 16 × 11 × 36 × 2 and passes", () => {
+    const lookupData = grid();
+    assert.deepEqual(gridStructureFailures(lookupData), []);
+    assert.equal(lookupData.predictions.mean_aad.length, 16 * 11 * 36 * 2);
+    assert.doesNotThrow(() => verifyLookupData(lookupData));
+  });
+
+  test("dimensions must match the axes", () => {
+    const lookupData = grid();
+    lookupData.dimensions.n_height = [12];
+    assert.match(gridStructureFailures(lookupData)[0], /sqrt_height has 11 points but n_height is 12/);
+  });
+
+  test("prediction arrays must be complete and numeric", () => {
+    const truncated = grid();
+    truncated.predictions.std_dev.length = 12000;
+    assert.deepEqual(gridStructureFailures(truncated), [
+      "predictions.std_dev has 12000 values, expected 12672",
+    ]);
+
+    const corrupted = grid();
+    corrupted.predictions.mean_aad[5] = null;
+    assert.deepEqual(gridStructureFailures(corrupted), [
+      "predictions.mean_aad contains non-numeric values",
+    ]);
+  });
+
+  test("axes must increase strictly", () => {
+    const lookupData = grid();
+    const axis = lookupData.grid_axes.log_age_plus_1;
+    [axis[3], axis[4]] = [axis[4], axis[3]];
+    assert.deepEqual(gridStructureFailures(lookupData), [
+      "Axis log_age_plus_1 is not strictly increasing",
+    ]);
+  });
+
+  test("a missing section is reported on its own", () => {
+    assert.deepEqual(gridStructureFailures({ grid_axes: {} }), [
+      "Grid is missing dimensions, grid_axes or predictions",
+    ]);
+  });
+});
+
+describe("loading", () => {
+  test("refuses a grid that no longer reproduces its test cases", async () => {
+    const lookupData = grid();
+    lookupData.predictions.mean_aad = lookupData.predictions.mean_aad.map((v) => v * 1.01);
+    const model = new GroningenModel();
+
+    await assert.rejects(model.load(lookupData), (error) => {
+      assert.ok(error instanceof ModelIntegrityError);
+      assert.equal(error.failures.length, lookupData.test_cases.length);
+      assert.match(error.failures[0], /^Test case "Gerton's example/);
+      return true;
+    });
+    assert.equal(model.isLoaded, false);
+    assert.throws(() => model.predict({ age: 40, weight: 70, height: 170, sex: "male" }), ModelNotLoadedError);
+  });
+
+  test("refuses a grid without test cases", async () => {
+    const lookupData = grid();
+    delete lookupData.test_cases;
+    await assert.rejects(new GroningenModel().load(lookupData), /no test cases/);
+  });
+
+  describe("files", () => {
+    let dir;
+    before(async () => {
+      dir = await mkdtemp(join(tmpdir(), "groningen-grid-"));
+      const manifest = JSON.parse(await readFile(MANIFEST_URL, "utf8"));
+      delete manifest.versions[0].binary;
+      await writeFile(join(dir, "models.json"), JSON.stringify(manifest));
+      // Same name as the bundled grid, cut off mid-file
+      await writeFile(join(dir, manifest.versions[0].file), gridText.slice(0, 50000));
+    });
+    after(() => rm(dir, { recursive: true }));
+
+    test("a truncated file is invalid JSON", async () => {
+      await assert.rejects(
+        new GroningenModel().load(join(dir, "groningen_aad_lookup.json")),
+        (error) => error instanceof ModelIntegrityError && /not valid JSON/.test(error.message)
+      );
+    });
+
+    test("a file that differs from the manifest checksum is refused", async () => {
+      const manifestUrl = pathToFileURL(join(dir, "models.json"));
+      await assert.rejects(loadModelVersion(null, manifestUrl), (error) => {
+        assert.ok(error instanceof ModelIntegrityError);
+        assert.match(error.message, /does not match the checksum of grid 2025-08-04/);
+        return true;
+      });
+    });
+  });
+});
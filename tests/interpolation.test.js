@@ -0,0 +1,150 @@
+// interpolation.test.js - Metadata test cases against every calculation entry point
+// Expected values come from the R model (data/groningen_aad_metadata.json)
+
+import { test, describe, before } from "node:test";
+import assert from "node:assert/strict";
+import { execFile } from "node:child_process";
+import { readFile, writeFile, mkdtemp } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { promisify } from "node:util";
+
+import { createModel } from "../js/groningen-model.js";
+import { ResultsCalculator } from "../js/results-calculator.js";
+import { parseCsv } from "../js/csv-parser.js";
+import {
+  detectDelimiter,
+  csvParseOptions,
+  validateAndCleanData,
+  calculatePatient,
+} from "../js/batch-utils.js";
+
+// Documented tolerance for JavaScript vs interpolated R values
+const TOLERANCE = 0.001;
+
+const metadata = JSON.parse(
+  await readFile(
+    new URL("../data/groningen_aad_metadata.json", import.meta.url),
+    "utf8"
+  )
+);
+
+// R exports sex as 0/1, the calculators take "male"/"female"
+const testCases = metadata.test_cases.map((testCase) => ({
+  ...testCase,
+  sex: testCase.sex === 0 ? "male" : "female",
+}));
+
+function assertClose(actual, expected, label) {
+  assert.ok(
+    Math.abs(actual - expected) <= TOLERANCE,
+    `${label}: expected ${expected} ±${TOLERANCE}, got ${actual}`
+  );
+}
+
+/**
+ * Run every metadata case through one entry point.
+ * `calculate` returns { meanAAD, stdDev, zScore } for a measured AAD of 20mm.
+ */
+function checkEntryPoint(name, setup, calculate) {
+  describe(name, () => {
+    let context;
+    before(async () => {
+      context = await setup();
+    });
+
+    for (const testCase of testCases) {
+      test(testCase.description, () => {
+        const result = calculate(context, testCase);
+        assertClose(result.meanAAD, testCase.expected_aad, "mean AAD");
+        assertClose(result.stdDev, testCase.expected_sd, "SD");
+        assertClose(result.zScore, testCase.z_score_for_aad_20, "Z-score");
+      });
+    }
+  });
+}
+
+test("metadata contains the 8 documented test cases", () => {
+  assert.equal(testCases.length, 8);
+});
+
+checkEntryPoint(
+  "calculator engine (groningen-model.js, used by app.js)",
+  () => createModel(),
+  (model, { age, weight, height, sex }) => {
+    const prediction = model.predict({ age, weight, height, sex });
+    return {
+      ...prediction,
+      zScore: model.zScore({ age, weight, height, sex, aad: 20 }),
+    };
+  }
+);
+
+checkEntryPoint(
+  "ResultsCalculator (results page)",
+  async () => {
+    const calculator = new ResultsCalculator();
+    await calculator.loadModel();
+    return calculator;
+  },
+  (calculator, { age, weight, height, sex }) =>
+    calculator.calculateResults(age, weight, height, sex, 20)
+);
+
+checkEntryPoint(
+  "batch calculation (batch page)",
+  async () => {
+    // Feed the cases through the same CSV parsing and validation as /batch/
+    const csv = [
+      "Sex,Age,Height,Weight,AAD",
+      ...testCases.map((t) => `${t.sex},${t.age},${t.height},${t.weight},20`),
+    ].join("\n");
+    const parsed = parseCsv(csv, csvParseOptions(detectDelimiter(csv)));
+    const { cleanPatients, errors } = validateAndCleanData(parsed.data);
+    assert.deepEqual(errors, []);
+
+    const model = await createModel();
+    return cleanPatients.map((patient) => calculatePatient(model, patient));
+  },
+  (results, testCase) => {
+    const result = results[testCases.indexOf(testCase)];
+    assert.equal(result.status, "success");
+    return { ...result, meanAAD: result.expectedAAD };
+  }
+);
+
+checkEntryPoint(
+  "command-line tool (bin/groningen-aov.js)",
+  async () => {
+    const dir = await mkdtemp(join(tmpdir(), "groningen-aov-"));
+    const input = join(dir, "input.tsv");
+    const output = join(dir, "output.csv");
+    await writeFile(
+      input,
+      [
+        "sex\tage\theight\tweight\taad",
+        ...testCases.map(
+          (t) => `${t.sex}\t${t.age}\t${t.height}\t${t.weight}\t20`
+        ),
+      ].join("\n")
+    );
+
+    await promisify(execFile)(process.execPath, [
+      new URL("../bin/groningen-aov.js", import.meta.url).pathname,
+      "batch",
+      input,
+      "-o",
+      output,
+    ]);
+
+    const lines = (await readFile(output, "utf8"))
+      .split("\n")
+      .filter((line) => !line.startsWith("#"));
+    return parseCsv(lines.join("\n")).data;
+  },
+  (rows, testCase) => {
+    const row = rows[testCases.indexOf(testCase)];
+    assert.equal(row.status, "success");
+    return { meanAAD: row.expected_aad, stdDev: row.std_dev, zScore: row.z_score };
+  }
+);
@@ -0,0 +1,94 @@
+// inverse.test.js - AAD for a target Z-score or centile
+
+import { test, describe, before } from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  createModel,
+  calculateZScore,
+  calculateAADFromZScore,
+  calculateAADFromCentile,
+  InvalidInputError,
+} from "../js/groningen-model.js";
+import { ResultsCalculator } from "../js/results-calculator.js";
+
+const patient = { age: 2, weight: 12, height: 85, sex: "male" };
+
+function assertClose(actual, expected, tolerance, label) {
+  assert.ok(
+    Math.abs(actual - expected) <= tolerance,
+    `${label}: expected ${expected} ±${tolerance}, got ${actual}`
+  );
+}
+
+test("calculateAADFromZScore inverts calculateZScore", () => {
+  for (const zScore of [-3, -1.5, 0, 0.7, 2]) {
+    const aad = calculateAADFromZScore(zScore, 11.4, 0.8);
+    assertClose(calculateZScore(aad, 11.4, 0.8), zScore, 1e-12, `z=${zScore}`);
+  }
+});
+
+test("calculateAADFromCentile uses the normal quantile", () => {
+  assertClose(calculateAADFromCentile(50, 20, 2), 20, 1e-12, "50th");
+  assertClose(calculateAADFromCentile(90, 20, 2), 20 + 1.281552 * 2, 1e-5, "90th");
+});
+
+describe("GroningenModel inverse API", () => {
+  let model;
+  let prediction;
+  before(async () => {
+    model = await createModel();
+    prediction = model.predict(patient);
+  });
+
+  test("z = +2 matches the upper bound of the normal range", () => {
+    assertClose(
+      model.aadForZScore({ ...patient, zScore: 2 }),
+      prediction.upperBound,
+      1e-12,
+      "AAD at z=+2"
+    );
+  });
+
+  test("round-trips through zScore()", () => {
+    const aad = model.aadForCentile({ ...patient, centile: 90 });
+    assertClose(model.zScore({ ...patient, aad }), 1.281552, 1e-5, "z at 90th");
+  });
+
+  test("rejects invalid targets", () => {
+    assert.throws(
+      () => model.aadForCentile({ ...patient, centile: 100 }),
+      InvalidInputError
+    );
+    assert.throws(
+      () => model.aadForZScore({ ...patient, zScore: "high" }),
+      InvalidInputError
+    );
+  });
+
+  test("zScore rejects a missing or non-positive AAD", () => {
+    for (const aad of [undefined, null, 0, -5, "20"]) {
+      assert.throws(() => model.zScore({ ...patient, aad }), InvalidInputError, String(aad));
+    }
+  });
+
+  test("zScoreTable covers z = -3...+3 in 1 SD steps", () => {
+    const table = model.zScoreTable(patient);
+    assert.deepEqual(
+      table.map((row) => row.zScore),
+      [-3, -2, -1, 0, 1, 2, 3]
+    );
+    assertClose(table[3].aad, prediction.meanAAD, 1e-12, "z=0");
+    assertClose(table[3].centile, 50, 1e-12, "centile at z=0");
+  });
+
+  test("ResultsCalculator exposes the same table", async () => {
+    const calculator = new ResultsCalculator();
+    await calculator.loadModel();
+    const { age, weight, height, sex } = patient;
+    assert.deepEqual(
+      calculator.calculateZScoreTable(age, weight, height, sex),
+      model.zScoreTable(patient)
+    );
+  });
+});
@@ -0,0 +1,90 @@
+// model-registry.test.js - Grid manifest, version loading and provenance stamps
+
+import { test, describe, before } from "node:test";
+import assert from "node:assert/strict";
+import { createHash } from "node:crypto";
+import { readFile } from "node:fs/promises";
+
+import {
+  MANIFEST_URL,
+  fetchManifest,
+  findModelVersion,
+  loadModelVersion,
+  formatModelVersion,
+  modelVersionNote,
+} from "../js/model-registry.js";
+import { createModel } from "../js/groningen-model.js";
+import {
+  calculatePatient,
+  buildResultsCsv,
+  buildClipboardTable,
+} from "../js/batch-utils.js";
+
+describe("model manifest", () => {
+  let manifest;
+  before(async () => {
+    manifest = await fetchManifest();
+  });
+
+  test("checksums match the grid files", async () => {
+    for (const entry of manifest.versions) {
+      const bytes = await readFile(new URL(entry.file, MANIFEST_URL));
+      const sha256 = createHash("sha256").update(bytes).digest("hex");
+      assert.equal(sha256, entry.sha256, `${entry.version} (${entry.file})`);
+    }
+  });
+
+  test("entries agree with the grid's own metadata", async () => {
+    for (const entry of manifest.versions) {
+      const grid = JSON.parse(await readFile(new URL(entry.file, MANIFEST_URL), "utf8"));
+      assert.equal(entry.created_date, grid.metadata.created_date[0]);
+      assert.equal(entry.max_z_error, grid.metadata.max_z_error[0]);
+    }
+  });
+
+  test("finds the default or a named version", () => {
+    assert.equal(findModelVersion(manifest).version, manifest.default);
+    assert.equal(findModelVersion(manifest, "2025-08-04").file, "groningen_aad_lookup.json");
+    assert.throws(() => findModelVersion(manifest, "1999-01-01"), /available: 2025-08-04/);
+  });
+});
+
+describe("versioned models", () => {
+  test("carry provenance and match the directly loaded grid", async () => {
+    const model = await loadModelVersion();
+    const direct = await createModel();
+    const patient = { age: 40, weight: 70, height: 170, sex: "male" };
+
+    assert.equal(model.provenance.version, "2025-08-04");
+    assert.match(model.provenance.sha256, /^[0-9a-f]{64}$/);
+    assert.deepEqual(model.predict(patient), direct.predict(patient));
+    assert.equal(direct.provenance, null);
+  });
+
+  test("formats short and full provenance", async () => {
+    const { provenance } = await loadModelVersion("2025-08-04");
+    assert.equal(formatModelVersion(provenance), "2025-08-04 (sha256 3357cbff438b)");
+    assert.equal(
+      modelVersionNote(provenance),
+      `# Model: grid 2025-08-04, created 2025-08-04, sha256 ${provenance.sha256}`
+    );
+  });
+
+  test("are stamped into both batch exports", async () => {
+    const model = await loadModelVersion();
+    const results = [
+      calculatePatient(model, { age: 10, weight: 31, height: 138, sex: "male", aad: 18 }),
+    ];
+    const note = modelVersionNote(model.provenance);
+
+    const csv = buildResultsCsv(results, { hasAAD: true, provenance: model.provenance });
+    const table = buildClipboardTable(results, {
+      hasAAD: true,
+      delimiter: "\t",
+      provenance: model.provenance,
+    });
+    assert.ok(csv.split("\n").includes(note));
+    assert.ok(table.split("\n").includes(note));
+    assert.ok(!buildResultsCsv(results, { hasAAD: true }).includes("# Model:"));
+  });
+});
@@ -0,0 +1,154 @@
+// pass-through.test.js - Input columns kept in the batch results
+
+import { test, describe } from "node:test";
+import assert from "node:assert/strict";
+
+import { loadModelVersion } from "../js/model-registry.js";
+import {
+  buildClipboardTable,
+  buildResultsCsv,
+  csvParseOptions,
+  detectDelimiter,
+  extraInputColumns,
+  processBatch,
+  validateAndCleanData,
+} from "../js/batch-utils.js";
+import { parseCsv } from "../js/csv-parser.js";
+import { streamBatch } from "../js/batch-stream.js";
+
+const model = await loadModelVersion();
+const generatedAt = new Date("2025-09-01T12:00:00Z");
+
+const input = `patient_id,Visit Date,sex,age,weight,height,aad,Note,status
+007,2024-01-02,M,40,70,170,22.5,"ok, ""checked""",final
+008,2024-02-03,F,10,35,140,,,draft`;
+
+/**
+ * Parse and calculate batch text as the page does: { fields, results }
+ */
+async function calculate(text) {
+  const { data, meta } = parseCsv(text, csvParseOptions(detectDelimiter(text)));
+  const { cleanPatients, errors } = validateAndCleanData(data);
+  assert.deepEqual(errors, []);
+  return { fields: meta.fields, results: await processBatch(model, cleanPatients) };
+}
+
+/**
+ * Data lines of a results CSV, split into fields
+ */
+function dataLines(csv) {
+  const lines = csv.split("\n").filter((line) => !line.startsWith("#"));
+  return parseCsv(lines.join("\n"), { keepText: () => true }).data;
+}
+
+describe("extra input columns", () => {
+  test("are the columns that aren't model inputs, in input order", async () => {
+    const { fields } = await calculate(input);
+    assert.deepEqual(extraInputColumns(fields), ["patient_id", "Visit Date", "Note", "status"]);
+  });
+
+  test("are kept as written, in the input's order, before the calculated columns", async () => {
+    const { fields, results } = await calculate(input);
+    const csv = buildResultsCsv(results, { hasAAD: true, inputColumns: fields, generatedAt });
+    const header = csv.split("\n").find((line) => !line.startsWith("#"));
+
+    assert.ok(
+      header.startsWith(
+        "patient_id,Visit Date,sex,age,weight,height,measured_aad,Note,input_status,expected_aad,"
+      ),
+      header
+    );
+    assert.ok(header.endsWith(",warnings,status"));
+
+    const [first, second] = dataLines(csv);
+    assert.equal(first.patient_id, "007");
+    assert.equal(first["Visit Date"], "2024-01-02");
+    assert.equal(first.Note, 'ok, "checked"');
+    assert.equal(first.input_status, "final");
+    assert.equal(first.sex, "male");
+    assert.equal(first.status, "success");
+    assert.equal(second.measured_aad, "");
+  });
+
+  test("can be left out", async () => {
+    const { fields, results } = await calculate(input);
+    const inputColumns = fields.filter((field) => field !== "Note" && field !== "status");
+    const [row] = dataLines(buildResultsCsv(results, { hasAAD: true, inputColumns }));
+    assert.deepEqual(Object.keys(row).slice(0, 8), [
+      "patient_id",
+      "Visit Date",
+      "sex",
+      "age",
+      "weight",
+      "height",
+      "measured_aad",
+      "expected_aad",
+    ]);
+  });
+
+  test("without inputColumns the layout is unchanged", async () => {
+    const { results } = await calculate(input);
+    const [row] = dataLines(buildResultsCsv(results, { hasAAD: true }));
+    assert.deepEqual(Object.keys(row).slice(0, 6), [
+      "sex",
+      "age",
+      "height",
+      "weight",
+      "measured_aad",
+      "expected_aad",
+    ]);
+  });
+
+  test("age from dates follows the input columns", async () => {
+    const { fields, results } = await calculate(
+      "id;sex;dob;exam_date;height;weight\nA1;F;2015-03-01;2025-03-01;140;35"
+    );
+    const csv = buildResultsCsv(results, { hasAAD: false, inputColumns: fields });
+    const [row] = dataLines(csv);
+    assert.deepEqual(Object.keys(row).slice(0, 7), [
+      "id",
+      "sex",
+      "dob",
+      "exam_date",
+      "height",
+      "weight",
+      "age",
+    ]);
+    assert.equal(row.dob, "2015-03-01");
+  });
+
+  test("the clipboard quotes fields containing its delimiter", async () => {
+    const { fields, results } = await calculate(
+      'id\tsex\tage\theight\tweight\tcomment\nx1\tM\t40\t170\t70\t"tab\there"'
+    );
+    const table = buildClipboardTable(results, {
+      hasAAD: false,
+      delimiter: "\t",
+      inputColumns: fields,
+    });
+    const lines = table.split("\n").filter((line) => !line.startsWith("#"));
+    assert.ok(lines[0].startsWith("id\tsex\tage\theight\tweight\tcomment\texpected_aad"));
+    assert.ok(lines[1].startsWith('x1\tmale\t40\t170\t70\t"tab\there"\t'));
+  });
+});
+
+test("streamed error rows keep their extra columns and quote the error", async () => {
+  const text = "id,sex,age,height,weight\nA1,x,10,140,35\nA2,F,10,140,35";
+  const stream = new ReadableStream({
+    start(controller) {
+      controller.enqueue(text);
+      controller.close();
+    },
+  });
+  const { blob } = await streamBatch(stream, {
+    calculate: (patients) => processBatch(model, patients),
+    exportOptions: { inputColumns: ["id", "sex", "age", "height", "weight"], generatedAt },
+  });
+
+  const [error, success] = dataLines(await blob.text());
+  assert.equal(error.id, "A1");
+  assert.equal(error.sex, "x");
+  assert.equal(error.status, 'error: Invalid sex "x" (use M/F, Male/Female or M/V)');
+  assert.equal(success.id, "A2");
+  assert.equal(success.status, "success");
+});
@@ -0,0 +1,147 @@
+// reference-models.test.js - Other published Z-score equations and batch columns
+
+import { test, describe, before } from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  REFERENCE_MODELS,
+  registerReferenceModel,
+  availableReferenceModels,
+  referenceModelResult,
+  compareReferenceModels,
+} from "../js/reference-models.js";
+import { bodySurfaceArea } from "../js/bsa.js";
+import { createModel } from "../js/groningen-model.js";
+import { calculatePatient, buildResultsCsv } from "../js/batch-utils.js";
+
+function assertClose(actual, expected, tolerance, label) {
+  assert.ok(
+    Math.abs(actual - expected) <= tolerance,
+    `${label}: expected ${expected} ±${tolerance}, got ${actual}`
+  );
+}
+
+describe("Pettersen (Detroit)", () => {
+  const child = { age: 10, weight: 31, height: 138, sex: "male" };
+
+  test("expected AAD from the BSA polynomial", () => {
+    // Find weight/height giving a Haycock BSA of 1.0 m²: ln(cm) = 0.445
+    const height = 130;
+    let weight = 25;
+    weight *= (1 / bodySurfaceArea(weight, height)) ** (1 / 0.5378);
+    const result = referenceModelResult("pettersen", { age: 8, weight, height });
+
+    assertClose(result.bsa, 1, 1e-9, "bsa");
+    assertClose(result.expectedAAD, Math.exp(0.445) * 10, 1e-9, "expected");
+  });
+
+  test("Z-score is zero at the expected AAD and ±1 per SD of ln(AAD)", () => {
+    const { expectedAAD } = referenceModelResult("pettersen", child);
+    const atMedian = referenceModelResult("pettersen", { ...child, aad: expectedAAD });
+    const oneSdUp = referenceModelResult("pettersen", {
+      ...child,
+      aad: expectedAAD * Math.exp(0.1),
+    });
+
+    assertClose(atMedian.zScore, 0, 1e-9, "z at median");
+    assertClose(oneSdUp.zScore, 1, 1e-9, "z one SD up");
+  });
+
+  test("flags adults outside the study population", () => {
+    const adult = referenceModelResult("pettersen", { age: 30, weight: 70, height: 175 });
+    assert.equal(adult.outsidePopulation, true);
+    assert.match(adult.note, /Outside the study population/);
+    assert.equal(referenceModelResult("pettersen", child).note, "");
+  });
+});
+
+describe("model registry", () => {
+  test("lists every registered model", () => {
+    const results = compareReferenceModels({ age: 10, weight: 31, height: 138, aad: 18 });
+    assert.deepEqual(
+      results.map((r) => r.id),
+      Object.keys(REFERENCE_MODELS)
+    );
+    assert.deepEqual(availableReferenceModels(), ["pettersen"]);
+  });
+
+  test("a model without an equation is listed but unavailable", () => {
+    registerReferenceModel({ id: "pending", label: "Pending", citation: "-", predict: null });
+    try {
+      const result = referenceModelResult("pending", { age: 10, weight: 31, height: 138, aad: 18 });
+      assert.equal(result.available, false);
+      assert.equal(result.expectedAAD, null);
+      assert.equal(result.zScore, null);
+      assert.ok(!availableReferenceModels().includes("pending"));
+    } finally {
+      delete REFERENCE_MODELS.pending;
+    }
+  });
+
+  test("rejects incomplete definitions and unknown ids", () => {
+    assert.throws(() => registerReferenceModel({ id: "x", label: "X" }), /citation/);
+    assert.throws(
+      () => registerReferenceModel({ id: "x", label: "X", citation: "Y", predict: 1 }),
+      /predict/
+    );
+    assert.throws(() => referenceModelResult("nope", {}), RangeError);
+  });
+});
+
+describe("batch reference model columns", () => {
+  let model;
+  let results;
+  before(async () => {
+    model = await createModel();
+    results = [
+      calculatePatient(model, { age: 10, weight: 31, height: 138, sex: "male", aad: 18 }),
+      calculatePatient(model, { age: 1, weight: 9, height: 75, sex: "female", aad: null }),
+    ];
+  });
+
+  const parse = (csv) => {
+    const lines = csv.split("\n").filter((line) => !line.startsWith("#"));
+    return { headers: lines[0].split(","), rows: lines.slice(1).map((l) => l.split(",")) };
+  };
+
+  test("are off by default", () => {
+    const { headers } = parse(buildResultsCsv(results, { hasAAD: true }));
+    assert.ok(!headers.some((header) => header.startsWith("pettersen_")));
+  });
+
+  test("add one column group per model with its citation", () => {
+    const csv = buildResultsCsv(results, { hasAAD: true, referenceModels: ["pettersen"] });
+    const { headers, rows } = parse(csv);
+    const expected = referenceModelResult("pettersen", results[0]);
+
+    assert.match(csv, /# pettersen_\*: Pettersen \(Detroit\), Pettersen MD/);
+    for (const row of rows) assert.equal(row.length, headers.length);
+    assert.equal(rows[0][headers.indexOf("pettersen_expected_aad")], expected.expectedAAD.toFixed(3));
+    assert.equal(rows[0][headers.indexOf("pettersen_z_score")], expected.zScore.toFixed(3));
+    assert.equal(rows[1][headers.indexOf("pettersen_z_score")], "");
+  });
+
+  test("are blank for patients outside the model's population", () => {
+    const adult = calculatePatient(model, {
+      age: 40,
+      weight: 70,
+      height: 170,
+      sex: "male",
+      aad: 22,
+    });
+    const csv = buildResultsCsv([adult], { hasAAD: true, referenceModels: ["pettersen"] });
+    const { headers, rows } = parse(csv);
+
+    assert.match(csv, /# pettersen_\*: .*; blank above age 18$/m);
+    assert.equal(rows[0][headers.indexOf("pettersen_expected_aad")], "");
+    assert.equal(rows[0][headers.indexOf("pettersen_z_score")], "");
+  });
+
+  test("omit the Z-score column without measured AAD", () => {
+    const { headers } = parse(
+      buildResultsCsv(results, { hasAAD: false, referenceModels: ["pettersen"] })
+    );
+    assert.ok(headers.includes("pettersen_expected_aad"));
+    assert.ok(!headers.includes("pettersen_z_score"));
+  });
+});
@@ -0,0 +1,146 @@
+// serial.test.js - Multi-visit Z trajectory behind the serial page
+
+import { test, describe, before } from "node:test";
+import assert from "node:assert/strict";
+
+import { createModel } from "../js/groningen-model.js";
+import {
+  computeSerialResults,
+  zScoreTrend,
+  zScoreChartSvg,
+  serialResultsCsv,
+} from "../js/serial.js";
+import { parseCsv } from "../js/csv-parser.js";
+
+const sex = "male";
+const bodySize = [
+  { date: "2019-03-01", age: 6, weight: 20, height: 116 },
+  { date: "2021-03-01", age: 8, weight: 25, height: 127 },
+  { date: "2023-03-01", age: 10, weight: 31, height: 138 },
+  { date: "2025-03-01", age: 12, weight: 40, height: 149 },
+];
+
+// Z rises by 0.5 per year, crosses +2 at the third visit, then falls back
+const targetZ = [0.5, 1.5, 2.5, 1.8];
+
+describe("serial measurements", () => {
+  let model;
+  let visits;
+  before(async () => {
+    model = await createModel();
+    visits = bodySize.map((visit, i) => ({
+      ...visit,
+      aad: model.aadForZScore({ ...visit, sex, zScore: targetZ[i] }),
+    }));
+  });
+
+  test("computes each visit through calculateResults, oldest first", () => {
+    const rows = computeSerialResults(model, sex, [...visits].reverse());
+    assert.deepEqual(
+      rows.map((row) => row.date),
+      bodySize.map((visit) => visit.date)
+    );
+    rows.forEach((row, i) => {
+      const { age, weight, height, aad } = visits[i];
+      const direct = model.calculateResults(age, weight, height, sex, aad);
+      assert.equal(row.zScore, direct.zScore);
+      assert.equal(row.percentile, direct.percentile);
+      assert.ok(Math.abs(row.zScore - targetZ[i]) < 1e-9);
+    });
+  });
+
+  test("change in Z per year is measured from the previous visit", () => {
+    const rows = computeSerialResults(model, sex, visits);
+    assert.equal(rows[0].zChangePerYear, null);
+    assert.ok(Math.abs(rows[1].zChangePerYear - 0.5) < 1e-9);
+    assert.ok(Math.abs(rows[3].zChangePerYear - -0.35) < 1e-9);
+  });
+
+  test("flags crossing the threshold and returning within it", () => {
+    const rows = computeSerialResults(model, sex, visits);
+    assert.deepEqual(
+      rows.map((row) => row.crossedThreshold),
+      [null, null, "above", "within"]
+    );
+    assert.deepEqual(
+      rows.map((row) => row.beyondThreshold),
+      [false, false, true, false]
+    );
+
+    const strict = computeSerialResults(model, sex, visits, { threshold: 1 });
+    assert.deepEqual(
+      strict.map((row) => row.crossedThreshold),
+      [null, "above", null, null]
+    );
+  });
+
+  test("a jump from beyond +threshold to beyond -threshold is flagged below", () => {
+    const jump = [2.5, -2.5, -3, 2.2].map((zScore, i) => ({
+      ...bodySize[i],
+      aad: model.aadForZScore({ ...bodySize[i], sex, zScore }),
+    }));
+    assert.deepEqual(
+      computeSerialResults(model, sex, jump).map((row) => row.crossedThreshold),
+      [null, "below", null, "above"]
+    );
+  });
+
+  test("trend is the least-squares slope of Z against age", () => {
+    const rows = computeSerialResults(model, sex, visits);
+    // Slope of [0.5, 1.5, 2.5, 1.8] at ages [6, 8, 10, 12]
+    assert.ok(Math.abs(zScoreTrend(rows) - 0.245) < 1e-9);
+    assert.equal(zScoreTrend(rows.slice(0, 1)), null);
+  });
+
+  test("visits without AAD or with invalid inputs do not break the series", () => {
+    const rows = computeSerialResults(model, sex, [
+      ...visits.slice(0, 2),
+      { date: "2022-03-01", age: 9, weight: 28, height: 132, aad: null },
+      { date: "2024-03-01", age: 11, weight: -1, height: 144, aad: 20 },
+    ]);
+
+    const noAAD = rows.find((row) => row.age === 9);
+    assert.equal(noAAD.status, "success");
+    assert.equal(noAAD.zScore, null);
+    assert.equal(noAAD.zChangePerYear, null);
+
+    const invalid = rows.find((row) => row.age === 11);
+    assert.equal(invalid.status, "error");
+    assert.match(invalid.error, /weight/i);
+
+    assert.ok(Math.abs(zScoreTrend(rows) - 0.5) < 1e-9);
+  });
+
+  test("CSV has one row per visit and escapes dates in the chart", () => {
+    const rows = computeSerialResults(model, sex, [
+      ...visits,
+      { date: "bad", age: 13, weight: -1, height: 155, aad: 20 },
+    ]);
+    const lines = serialResultsCsv(rows, sex).split("\n");
+    const headers = lines[0].split(",");
+
+    assert.equal(lines.length, rows.length + 1);
+    for (const line of lines) {
+      assert.equal(line.split(",").length, headers.length);
+    }
+    const third = lines[3].split(",");
+    assert.equal(third[headers.indexOf("flag")], "crossed_above");
+    assert.equal(third[headers.indexOf("z_score")], "2.500");
+    assert.match(lines.at(-1), /error: /);
+
+    const labelled = computeSerialResults(model, sex, [
+      { ...visits[0], date: 'Visit 1, "baseline"' },
+    ]);
+    const [row] = parseCsv(serialResultsCsv(labelled, sex), {
+      keepText: () => true,
+    }).data;
+    assert.equal(row.date, 'Visit 1, "baseline"');
+    assert.equal(row.status, "success");
+
+    const svg = zScoreChartSvg(
+      computeSerialResults(model, sex, [{ ...visits[0], date: "<visit>" }])
+    );
+    assert.ok(svg.includes("&lt;visit&gt;"));
+    assert.equal((svg.match(/<circle /g) || []).length, 1);
+  });
+});
@@ -0,0 +1,147 @@
+// statistics.test.js - Centiles, p-values and reference intervals
+
+import { test, describe, before } from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  normalCdf,
+  normalQuantile,
+  zScoreToPercentile,
+  twoSidedPValue,
+  parseReferenceInterval,
+  formatCentile,
+} from "../js/statistics.js";
+import { createModel } from "../js/groningen-model.js";
+import { calculatePatient, buildResultsCsv } from "../js/batch-utils.js";
+
+function assertClose(actual, expected, tolerance, label) {
+  assert.ok(
+    Math.abs(actual - expected) <= tolerance,
+    `${label}: expected ${expected} ±${tolerance}, got ${actual}`
+  );
+}
+
+describe("normal distribution", () => {
+  // Reference values from standard normal tables (R: pnorm/qnorm)
+  const table = [
+    [-3, 0.0013498980316301],
+    [-1.96, 0.0249978951482204],
+    [-1, 0.158655253931457],
+    [0, 0.5],
+    [1.644854, 0.95],
+    [2.326348, 0.99],
+  ];
+
+  for (const [z, p] of table) {
+    test(`Φ(${z}) = ${p}`, () => {
+      assertClose(normalCdf(z), p, 1e-7, "normalCdf");
+    });
+  }
+
+  test("normalQuantile inverts normalCdf", () => {
+    for (const p of [1e-6, 0.01, 0.025, 0.3, 0.5, 0.975, 0.999]) {
+      assertClose(normalCdf(normalQuantile(p)), p, 1e-12, `p=${p}`);
+    }
+    assertClose(normalQuantile(0.975), 1.959963984540054, 1e-12, "z 97.5");
+  });
+
+  test("percentile and two-sided p-value of a z-score", () => {
+    assertClose(zScoreToPercentile(-1.96), 2.5, 0.001, "percentile");
+    assertClose(twoSidedPValue(-1.96), 0.05, 0.0001, "p negative z");
+    assertClose(twoSidedPValue(1.96), 0.05, 0.0001, "p positive z");
+    assert.equal(twoSidedPValue(0), 1);
+  });
+});
+
+describe("reference intervals", () => {
+  test("parses text and arrays", () => {
+    assert.deepEqual(parseReferenceInterval("1-99"), [1, 99]);
+    assert.deepEqual(parseReferenceInterval("2.5–97.5"), [2.5, 97.5]);
+    assert.deepEqual(parseReferenceInterval([3, 97]), [3, 97]);
+  });
+
+  test("rejects reversed or out-of-range centiles", () => {
+    for (const value of ["99-1", "0-100", "5", "a-b"]) {
+      assert.throws(() => parseReferenceInterval(value), RangeError);
+    }
+  });
+
+  test("formats centile labels", () => {
+    assert.deepEqual(
+      [1, 2, 3, 11, 2.5, 97.5, 99].map(formatCentile),
+      ["1st", "2nd", "3rd", "11th", "2.5th", "97.5th", "99th"]
+    );
+  });
+});
+
+describe("calculateResults centile output", () => {
+  const patient = { age: 40, weight: 70, height: 170, sex: "male" };
+  let model;
+  before(async () => {
+    model = await createModel();
+  });
+
+  test("adds percentile and p-value for a measured AAD", () => {
+    const { age, weight, height, sex } = patient;
+    const result = model.calculateResults(age, weight, height, sex, 20);
+    assertClose(result.percentile, zScoreToPercentile(result.zScore), 1e-12, "percentile");
+    assertClose(result.percentile, 4.84, 0.01, "percentile");
+    assertClose(result.pValue, 0.0967, 0.0001, "p-value");
+  });
+
+  test("percentile and p-value are null without a measurement", () => {
+    const { age, weight, height, sex } = patient;
+    const result = model.calculateResults(age, weight, height, sex);
+    assert.equal(result.percentile, null);
+    assert.equal(result.pValue, null);
+  });
+
+  test("reference interval defaults to 2.5th-97.5th and is configurable", () => {
+    const { age, weight, height, sex } = patient;
+    const standard = model.calculateResults(age, weight, height, sex);
+    const { meanAAD, stdDev } = standard;
+    assertClose(standard.referenceInterval.lower, meanAAD - 1.96 * stdDev, 0.001, "2.5th");
+    assertClose(standard.referenceInterval.upper, meanAAD + 1.96 * stdDev, 0.001, "97.5th");
+
+    const wide = model.calculateResults(age, weight, height, sex, null, {
+      referenceInterval: [1, 99],
+    });
+    assert.equal(wide.referenceInterval.lowerCentile, 1);
+    assertClose(wide.referenceInterval.upper, meanAAD + 2.3263 * stdDev, 0.001, "99th");
+  });
+});
+
+describe("batch centile columns", () => {
+  let results;
+  before(async () => {
+    const model = await createModel();
+    results = [
+      calculatePatient(
+        model,
+        { age: 40, weight: 70, height: 170, sex: "male", aad: 20 },
+        { referenceInterval: [1, 99] }
+      ),
+    ];
+  });
+
+  const header = (csv) =>
+    csv.split("\n").find((line) => !line.startsWith("#")).split(",");
+
+  test("are off by default", () => {
+    const columns = header(buildResultsCsv(results, { hasAAD: true }));
+    assert.ok(!columns.includes("percentile"));
+    assert.ok(!columns.includes("centile_1"));
+  });
+
+  test("add percentile, p-value and interval columns when requested", () => {
+    const csv = buildResultsCsv(results, { hasAAD: true, centiles: [1, 99] });
+    const columns = header(csv);
+    const row = csv.split("\n").at(-1).split(",");
+
+    assert.equal(row.length, columns.length);
+    assert.equal(row[columns.indexOf("percentile")], "4.8");
+    assert.equal(row[columns.indexOf("p_value")], "0.0966");
+    assert.ok(columns.includes("centile_1") && columns.includes("centile_99"));
+    assert.match(csv, /# Reference interval: 1st-99th centile/);
+  });
+});
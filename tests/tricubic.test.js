@@ -0,0 +1,98 @@
+// tricubic.test.js - Smooth interpolation mode and its error against R values
+
+import { test, describe } from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  createModel,
+  interpolateGrid,
+  trilinearInterpolation,
+  tricubicInterpolation,
+} from "../js/groningen-model.js";
+import { buildResultsCsv, calculatePatient } from "../js/batch-utils.js";
+import { heldOutComparison } from "./golden-harness.js";
+
+const model = await createModel();
+const tricubic = await createModel(undefined, { interpolation: "tricubic" });
+const { grid_axes, predictions, test_cases } = model.lookupData;
+const axes = [grid_axes.log_weight, grid_axes.sqrt_height, grid_axes.log_age_plus_1];
+
+describe("tricubic interpolation", () => {
+  test("passes through every grid point", () => {
+    for (const [i, j, k, s] of [
+      [0, 0, 0, 0],
+      [7, 5, 20, 1],
+      [15, 10, 35, 0],
+      [3, 9, 1, 1],
+    ]) {
+      const query = [axes[0][i], axes[1][j], axes[2][k], s];
+      assert.equal(
+        tricubicInterpolation(...axes, predictions.mean_aad, ...query).toFixed(9),
+        trilinearInterpolation(...axes, predictions.mean_aad, ...query).toFixed(9)
+      );
+    }
+  });
+
+  test("reproduces a linear function exactly", () => {
+    const n = axes.map((axis) => axis.length);
+    const values = [];
+    for (let s = 0; s < 2; s++)
+      for (let k = 0; k < n[2]; k++)
+        for (let j = 0; j < n[1]; j++)
+          for (let i = 0; i < n[0]; i++)
+            values.push(2 * axes[0][i] - axes[1][j] + 3 * axes[2][k] + s);
+
+    const query = [3.1, 9.7, 1.2];
+    const expected = 2 * query[0] - query[1] + 3 * query[2] + 1;
+    assert.ok(Math.abs(tricubicInterpolation(...axes, values, ...query, 1) - expected) < 1e-9);
+  });
+
+  test("extrapolates outside the grid like trilinear", () => {
+    const query = [axes[0][0] - 0.2, axes[1].at(-1) + 0.5, axes[2].at(-1) + 0.1, 0];
+    const smooth = tricubicInterpolation(...axes, predictions.std_dev, ...query);
+    const linear = trilinearInterpolation(...axes, predictions.std_dev, ...query);
+    assert.ok(Math.abs(smooth - linear) < 1e-12, `${smooth} vs ${linear}`);
+  });
+
+  test("rejects unknown methods", () => {
+    assert.throws(
+      () => interpolateGrid("spline", ...axes, predictions.mean_aad, 3, 10, 1, 0),
+      RangeError
+    );
+  });
+});
+
+describe("tricubic models", () => {
+  test("stay close to the R test cases", () => {
+    for (const testCase of test_cases) {
+      const input = {
+        age: testCase.age,
+        weight: testCase.weight,
+        height: testCase.height,
+        sex: testCase.sex === 0 ? "male" : "female",
+      };
+      const linear = model.predict(input);
+      const smooth = tricubic.predict(input);
+      assert.ok(
+        Math.abs(smooth.meanAAD - linear.meanAAD) / linear.stdDev < 0.1,
+        `${testCase.description}: ${smooth.meanAAD} vs ${linear.meanAAD}`
+      );
+    }
+  });
+
+  test("halve the held-out error against R's grid values", () => {
+    const linear = heldOutComparison(model.lookupData, "trilinear");
+    const smooth = heldOutComparison(model.lookupData, "tricubic");
+    assert.ok(smooth.z.max < linear.z.max * 0.6, `max ${smooth.z.max} vs ${linear.z.max}`);
+    assert.ok(smooth.z.mean < linear.z.mean * 0.6, `mean ${smooth.z.mean} vs ${linear.z.mean}`);
+  });
+
+  test("are noted in batch exports", () => {
+    const results = [
+      calculatePatient(tricubic, { age: 10, weight: 31, height: 138, sex: "male", aad: 18 }),
+    ];
+    const csv = buildResultsCsv(results, { hasAAD: true, interpolation: "tricubic" });
+    assert.match(csv, /^# Interpolation: tricubic/m);
+    assert.ok(!buildResultsCsv(results, { hasAAD: true }).includes("# Interpolation"));
+  });
+});
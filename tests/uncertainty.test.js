@@ -0,0 +1,82 @@
+// uncertainty.test.js - Interpolation uncertainty and uncertain Z-score categories
+
+import { test, describe } from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  createModel,
+  zScoreRange,
+  calculateAADFromZScore,
+} from "../js/groningen-model.js";
+import { buildResultsCsv, calculatePatient } from "../js/batch-utils.js";
+
+const model = await createModel();
+const patient = { age: 40, weight: 70, height: 170, sex: "male" };
+const results = (zScore) => {
+  const { meanAAD, stdDev } = model.predict(patient);
+  const aad = calculateAADFromZScore(zScore, meanAAD, stdDev);
+  return model.calculateResults(patient.age, patient.weight, patient.height, patient.sex, aad);
+};
+const uncertain = (result) =>
+  result.warnings.some((warning) => warning.code === "uncertain_category");
+
+describe("interpolation uncertainty", () => {
+  test("vanishes on grid points", () => {
+    const { log_weight, sqrt_height, log_age_plus_1 } = model.lookupData.grid_axes;
+    const { uncertainty } = model.predict({
+      age: Math.exp(log_age_plus_1[20]) - 1,
+      weight: Math.exp(log_weight[10]),
+      height: sqrt_height[8] ** 2,
+      sex: "female",
+    });
+    assert.ok(uncertainty.meanAAD < 1e-9 && uncertainty.stdDev < 1e-9);
+  });
+
+  test("is small but non-zero between grid points", () => {
+    const { meanAAD, stdDev, uncertainty } = model.predict(patient);
+    assert.ok(uncertainty.meanAAD > 0 && uncertainty.meanAAD < 0.05 * stdDev);
+    assert.ok(uncertainty.stdDev >= 0 && uncertainty.stdDev < 0.05 * stdDev);
+    assert.ok(meanAAD > 0);
+  });
+
+  test("brackets the Z-score", () => {
+    const result = results(1.5);
+    const { low, high } = zScoreRange(result.zScore * result.stdDev + result.meanAAD, result);
+    assert.ok(low < result.zScore && result.zScore < high);
+    assert.ok(Math.abs(result.zScoreUncertainty - Math.max(high - result.zScore, result.zScore - low)) < 1e-12);
+    assert.equal(model.calculateResults(40, 70, 170, "male").zScoreUncertainty, null);
+  });
+});
+
+describe("uncertain categories", () => {
+  test("are flagged when the range spans ±2", () => {
+    for (const zScore of [1.99, 2.01, -1.99, -2.01]) {
+      assert.ok(uncertain(results(zScore)), `z = ${zScore}`);
+    }
+  });
+
+  test("are not flagged clear of ±2", () => {
+    for (const zScore of [0, 1.5, 2.5, -3]) {
+      assert.ok(!uncertain(results(zScore)), `z = ${zScore}`);
+    }
+  });
+
+  test("reach the batch export", () => {
+    const rows = [1.99, 0].map((zScore) => {
+      const { meanAAD, stdDev } = model.predict(patient);
+      return calculatePatient(model, {
+        ...patient,
+        aad: calculateAADFromZScore(zScore, meanAAD, stdDev),
+      });
+    });
+    const lines = buildResultsCsv(rows, { hasAAD: true })
+      .split("\n")
+      .filter((line) => !line.startsWith("#"));
+    const headers = lines[0].split(",");
+    const [flagged, clear] = lines.slice(1).map((line) => line.split(","));
+
+    assert.equal(flagged[headers.indexOf("z_score_uncertainty")], rows[0].zScoreUncertainty.toFixed(3));
+    assert.equal(flagged[headers.indexOf("warnings")], "uncertain_category");
+    assert.equal(clear[headers.indexOf("warnings")], "");
+  });
+});
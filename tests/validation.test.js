@@ -0,0 +1,83 @@
+// validation.test.js - Input validation must be identical on every entry point
+
+import { test, describe, before } from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  createModel,
+  validateInputs,
+  InvalidInputError,
+  ModelNotLoadedError,
+  GroningenModel,
+  MODEL_RANGES,
+} from "../js/groningen-model.js";
+import { ResultsCalculator } from "../js/results-calculator.js";
+import { validateAndCleanData } from "../js/batch-utils.js";
+
+const valid = { age: 10, weight: 35, height: 140, sex: "female" };
+
+// Boundary and out-of-range inputs, and whether the model accepts them
+const cases = [
+  { name: "newborn at age 0", input: { age: 0 }, accepted: true },
+  { name: "age at upper limit", input: { age: MODEL_RANGES.age.max }, accepted: true },
+  { name: "age above 59", input: { age: 59.5 }, accepted: false },
+  { name: "negative age", input: { age: -1 }, accepted: false },
+  { name: "weight below range", input: { weight: 1.3 }, accepted: false },
+  { name: "weight above range", input: { weight: 353 }, accepted: false },
+  { name: "height below range", input: { height: 30 }, accepted: false },
+  { name: "height above range", input: { height: 237 }, accepted: false },
+  { name: "non-numeric weight", input: { weight: NaN }, accepted: false },
+  { name: "unknown sex", input: { sex: "other" }, accepted: false },
+];
+
+describe("validateInputs", () => {
+  test("accepts valid input", () => {
+    assert.deepEqual(
+      validateInputs(valid.age, valid.weight, valid.height, valid.sex),
+      []
+    );
+  });
+
+  test("reports every invalid input", () => {
+    const errors = validateInputs(70, 0, 0, "");
+    assert.equal(errors.length, 4);
+  });
+});
+
+describe("entry points agree on what is valid", () => {
+  let model;
+  let calculator;
+  before(async () => {
+    model = await createModel();
+    calculator = new ResultsCalculator();
+    await calculator.loadModel();
+  });
+
+  for (const { name, input, accepted } of cases) {
+    test(name, () => {
+      const { age, weight, height, sex } = { ...valid, ...input };
+
+      const engine = () => model.predict({ age, weight, height, sex });
+      const results = () =>
+        calculator.calculateResults(age, weight, height, sex);
+
+      if (accepted) {
+        assert.doesNotThrow(engine);
+        assert.doesNotThrow(results);
+      } else {
+        assert.throws(engine, InvalidInputError);
+        assert.throws(results, InvalidInputError);
+      }
+
+      const batch = validateAndCleanData([{ age, weight, height, sex }]);
+      assert.equal(batch.cleanPatients.length, accepted ? 1 : 0);
+    });
+  }
+});
+
+test("calculating before loading throws ModelNotLoadedError", () => {
+  assert.throws(
+    () => new GroningenModel().predict(valid),
+    ModelNotLoadedError
+  );
+});
@@ -0,0 +1,122 @@
+// warnings.test.js - Extrapolation and plausibility warnings on predictions
+
+import { test, describe, before } from "node:test";
+import assert from "node:assert/strict";
+
+import { createModel, predictionWarnings } from "../js/groningen-model.js";
+import { ResultsCalculator } from "../js/results-calculator.js";
+import {
+  calculatePatient,
+  buildResultsCsv,
+  formatWarnings,
+} from "../js/batch-utils.js";
+
+const codes = (warnings) => warnings.map((w) => `${w.code}:${w.field}`);
+
+describe("predictionWarnings", () => {
+  let model;
+  before(async () => {
+    model = await createModel();
+  });
+
+  test("typical inputs have no warnings", () => {
+    const { warnings } = model.predict({
+      age: 10,
+      weight: 35,
+      height: 140,
+      sex: "female",
+    });
+    assert.deepEqual(warnings, []);
+  });
+
+  test("flags weight below the first grid node as extrapolated", () => {
+    // 1.34 kg is valid input, but log(1.34) < 0.3, the first weight node
+    const { warnings } = model.predict({
+      age: 0,
+      weight: 1.34,
+      height: 40,
+      sex: "male",
+    });
+    assert.deepEqual(codes(warnings), ["extrapolated:weight"]);
+    assert.equal(warnings[0].direction, "below");
+  });
+
+  test("flags a 2 kg baby at 80 cm as implausible weight-for-height", () => {
+    const { warnings } = model.predict({
+      age: 0.5,
+      weight: 2,
+      height: 80,
+      sex: "female",
+    });
+    assert.deepEqual(codes(warnings), [
+      "implausible_weight_for_height:weight",
+    ]);
+    assert.ok(warnings[0].bmi < 4);
+  });
+
+  test("flags every axis outside the grid", () => {
+    const warnings = predictionWarnings(model.lookupData.grid_axes, 70, 400, 25);
+    assert.deepEqual(codes(warnings), [
+      "extrapolated:weight",
+      "extrapolated:height",
+      "extrapolated:age",
+      "implausible_weight_for_height:weight",
+    ]);
+  });
+
+  test("skips inputs that are not numbers", () => {
+    assert.deepEqual(
+      predictionWarnings(model.lookupData.grid_axes, NaN, NaN, 150),
+      []
+    );
+  });
+});
+
+describe("warnings reach every entry point", () => {
+  const input = { age: 0.5, weight: 2, height: 80, sex: "female", aad: null };
+
+  test("ResultsCalculator", async () => {
+    const calculator = new ResultsCalculator();
+    await calculator.loadModel();
+    const { age, weight, height, sex } = input;
+    assert.equal(
+      calculator.calculateResults(age, weight, height, sex).warnings.length,
+      1
+    );
+    assert.equal(
+      calculator.calculatePrediction(age, weight, height, sex).warnings.length,
+      1
+    );
+  });
+
+  test("batch CSV has a warnings column", async () => {
+    const model = await createModel();
+    const results = [
+      calculatePatient(model, input),
+      calculatePatient(model, { ...input, weight: 12 }),
+      { ...input, status: "error", error: "failed" },
+    ];
+    const lines = buildResultsCsv(results, { hasAAD: false })
+      .split("\n")
+      .filter((line) => !line.startsWith("#"))
+      .map((line) => line.split(","));
+
+    const column = lines[0].indexOf("warnings");
+    assert.notEqual(column, -1);
+    assert.equal(lines[1][column], "implausible_weight_for_height");
+    assert.equal(lines[2][column], "");
+
+    // Error rows keep the same number of columns as the header
+    assert.equal(lines[3].length, lines[0].length);
+    assert.equal(lines[3].at(-1), "error: failed");
+  });
+
+  test("formatWarnings is delimiter-safe", () => {
+    const text = formatWarnings([
+      { code: "extrapolated", field: "weight" },
+      { code: "implausible_weight_for_height", field: "weight" },
+    ]);
+    assert.equal(text, "extrapolated_weight|implausible_weight_for_height");
+    assert.doesNotMatch(text, /[,;\t]/);
+  });
+});